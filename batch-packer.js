@@ -0,0 +1,102 @@
+// batch-packer.js
+// Keeps batches under a gas budget.
+//
+// Each ForwardRequest carries a `gas` limit that BatchExecutor forwards to
+// the inner call, so the worst case for a batch is known before it is
+// sent: the sum of those limits plus what executeBatch itself spends per
+// entry (signature check, nonce write, event). Packing against that
+// worst case keeps the outer transaction under block limits and keeps
+// estimateGas from failing on oversized batches.
+//
+// Entries are ForwardRequests or ForwardBatches (several calls under one
+// signature). They go out through different entry points (executeBatch,
+// executeSignedBatches), so one batch transaction holds only one kind.
+
+import { callsOf, isForwardBatch } from "./sdk/index.js";
+
+// Measured with test/gas-benchmark.js ("Per-entry overhead"): roughly
+// 15–25k gas per entry on top of the inner call, rounded up for calldata
+// of larger requests. The base covers the 21k transaction cost plus the
+// BatchExecuted event.
+const DEFAULT_ENTRY_OVERHEAD = 30000n;
+const DEFAULT_BASE_OVERHEAD = 35000n;
+const DEFAULT_GAS_BUDGET = 5000000n;
+
+class BatchPacker {
+    /**
+     * @param options - {
+     *   gasBudget     - Worst-case gas allowed per batch (default 5M)
+     *   entryOverhead - executeBatch gas per entry beyond the inner call
+     *   baseOverhead  - Fixed gas per batch transaction
+     * }
+     */
+    constructor(options = {}) {
+        this.gasBudget = BigInt(options.gasBudget || DEFAULT_GAS_BUDGET);
+        this.entryOverhead = BigInt(options.entryOverhead ?? DEFAULT_ENTRY_OVERHEAD);
+        this.baseOverhead = BigInt(options.baseOverhead ?? DEFAULT_BASE_OVERHEAD);
+    }
+
+    /**
+     * Worst-case gas one request adds to a batch. The CALL needs 64/63 of
+     * the forwarded gas available (EIP-150), hence the extra 1/63. A
+     * ForwardBatch pays the overhead per call, which over-counts its
+     * single signature check.
+     */
+    entryGas(request) {
+        let total = 0n;
+        for (const call of callsOf(request)) {
+            const gas = BigInt(call.gas);
+            total += gas + gas / 63n + this.entryOverhead;
+        }
+        return total;
+    }
+
+    /**
+     * Reason a request can never fit in a batch, or null if it can.
+     */
+    check(request) {
+        const needed = this.baseOverhead + this.entryGas(request);
+        if (needed > this.gasBudget) {
+            const what = isForwardBatch(request)
+                ? `ForwardBatch of ${request.calls.length} calls`
+                : `Request gas ${request.gas}`;
+            return `${what} is too large: a batch holding it needs ` +
+                `${needed} gas, over the ${this.gasBudget} gas batch budget`;
+        }
+        return null;
+    }
+
+    /**
+     * Start a batch: returns a tracker whose add() says whether the next
+     * request still fits, counting it if it does. A request of the other
+     * kind than the batch's first never fits. remove() gives back a
+     * request's gas when it is taken out again.
+     */
+    start() {
+        let used = this.baseOverhead;
+        let kind = null;
+        let count = 0;
+        return {
+            add: (request) => {
+                const entryKind = isForwardBatch(request) ? "batch" : "request";
+                if (kind !== null && entryKind !== kind) return false;
+
+                const gas = this.entryGas(request);
+                if (used + gas > this.gasBudget) return false;
+                used += gas;
+                kind = entryKind;
+                count++;
+                return true;
+            },
+            remove: (request) => {
+                used -= this.entryGas(request);
+                if (--count === 0) kind = null;
+            },
+            get used() {
+                return used;
+            }
+        };
+    }
+}
+
+export { BatchPacker };
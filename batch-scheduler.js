@@ -0,0 +1,251 @@
+// batch-scheduler.js
+// Decides when a batch is worth sending.
+//
+// The relayer used to flush on a fixed timer whatever gas cost at the
+// time. The scheduler lets it wait for cheaper gas or a bigger batch,
+// while making sure no request waits past its deadline, and keeps requests
+// out of batches outside their signed validity window. Fees and the
+// sponsor pool are read through small interfaces so the policy can be
+// exercised with mocks:
+//
+//   feeSource: { getFees() => { baseFee, priorityFee } }      (wei, BigInt)
+//   sponsor:   { estimateReimbursement(relayer, users, amounts)
+//                  => [reimbursement, wouldSucceed] }        (GasSponsor view)
+
+import { ethers } from "ethers";
+import { splitCost } from "./sponsor-budget.js";
+
+/**
+ * Fee source backed by an ethers provider: base fee of the latest block
+ * plus the node's suggested priority fee.
+ */
+function providerFeeSource(provider) {
+    return {
+        async getFees() {
+            const [block, feeData] = await Promise.all([
+                provider.getBlock("latest"),
+                provider.getFeeData()
+            ]);
+
+            // Pre-London networks have no base fee; gasPrice is the whole price
+            if (block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+                return { baseFee: feeData.gasPrice, priorityFee: 0n };
+            }
+
+            return {
+                baseFee: block.baseFeePerGas,
+                priorityFee: feeData.maxPriorityFeePerGas ?? 0n
+            };
+        }
+    };
+}
+
+class BatchScheduler {
+    /**
+     * @param options - {
+     *   feeSource         - See above (required when maxBaseFee or requireReimbursement is set)
+     *   sponsor           - See above (required when requireReimbursement is set)
+     *   maxBatchSize      - A batch this size is "full" and skips minBatchSize (default 10)
+     *   minBatchSize      - Ready requests needed before a non-urgent flush (default 1)
+     *   maxBaseFee        - Wait while the base fee is above this (wei, default no cap)
+     *   maxWaitMs         - Flush anything that has waited this long (default no limit)
+     *   deadlineMarginMs  - Flush this long before a request's deadline (default 30s)
+     *   expiryMarginMs    - Drop a request this close to its signed validUntil:
+     *                       the batch could be mined after it and revert (default 15s)
+     *   requireReimbursement - Wait until GasSponsor would cover the batch (default false)
+     *   minCoverage       - Percent of the estimated cost it must cover (default 100)
+     * }
+     */
+    constructor(options = {}) {
+        this.feeSource = options.feeSource || null;
+        this.sponsor = options.sponsor || null;
+
+        this.maxBatchSize = options.maxBatchSize || 10;
+        this.minBatchSize = options.minBatchSize || 1;
+        this.maxBaseFee = options.maxBaseFee ?? null;
+        this.maxWaitMs = options.maxWaitMs ?? null;
+        this.deadlineMarginMs = options.deadlineMarginMs ?? 30000;
+        this.expiryMarginMs = options.expiryMarginMs ?? 15000;
+        this.requireReimbursement = !!options.requireReimbursement;
+        this.minCoverage = BigInt(options.minCoverage ?? 100);
+
+        if ((this.maxBaseFee !== null || this.requireReimbursement) && !this.feeSource) {
+            throw new Error("BatchScheduler needs a feeSource for fee-based policies");
+        }
+        if (this.requireReimbursement && !this.sponsor) {
+            throw new Error("BatchScheduler needs a sponsor to require reimbursement");
+        }
+    }
+
+    /**
+     * Latest time a record may be flushed: its deadline minus the margin,
+     * or createdAt + maxWaitMs, whichever is earlier. Null if neither applies.
+     */
+    flushBy(record) {
+        const times = [];
+        if (record.deadline) times.push(record.deadline - this.deadlineMarginMs);
+        if (this.maxWaitMs !== null) times.push(record.createdAt + this.maxWaitMs);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * Whether a record has reached flushBy() and can't wait any longer.
+     */
+    isDue(record, now = Date.now()) {
+        const by = this.flushBy(record);
+        return by !== null && by <= now;
+    }
+
+    /**
+     * Why a signed request is too late to submit at `now`, or null. Its
+     * validUntil (unix seconds, 0 = never) must be more than
+     * expiryMarginMs away.
+     */
+    expiryError(request, now = Date.now()) {
+        const validUntil = Number(request.validUntil || 0) * 1000;
+        if (validUntil === 0 || validUntil - this.expiryMarginMs > now) return null;
+
+        return validUntil <= now
+            ? `Expired at ${new Date(validUntil).toISOString()}`
+            : `Expires at ${new Date(validUntil).toISOString()}, too soon to be mined`;
+    }
+
+    /**
+     * Split taken records by their signed validity window. Records must be
+     * in nonce order per sender: a sender's later requests can't execute
+     * without the earlier ones, so they wait behind them.
+     *
+     * @returns { ready, waiting, expired }
+     *   waiting - Before validAfter, or behind such a request or an
+     *             expired one; put back in the queue
+     *   expired - { record, reason } to drop
+     */
+    checkValidity(records, now = Date.now()) {
+        const ready = [];
+        const waiting = [];
+        const expired = [];
+        const held = new Set();
+
+        for (const record of records) {
+            const sender = record.request.from.toLowerCase();
+            if (held.has(sender)) {
+                waiting.push(record);
+                continue;
+            }
+
+            const reason = this.expiryError(record.request, now);
+            if (reason) {
+                expired.push({ record, reason });
+                held.add(sender);
+            } else if (Number(record.request.validAfter || 0) * 1000 > now) {
+                waiting.push(record);
+                held.add(sender);
+            } else {
+                ready.push(record);
+            }
+        }
+
+        return { ready, waiting, expired };
+    }
+
+    /**
+     * First gate, on the requests that are ready to go.
+     *
+     * @param records - Ready records ({ createdAt, deadline?, ... })
+     * @param now     - Current time (ms)
+     * @returns { flush, urgent, reason, fees }
+     *   urgent - A deadline forced the flush past minBatchSize and
+     *            maxBaseFee. checkReimbursement() still applies: deadlines
+     *            come from clients, so they can't be allowed to force
+     *            batches nobody pays back
+     *   fees   - Fees read for this decision (null if none were needed)
+     */
+    async shouldFlush(records, now = Date.now()) {
+        if (records.length === 0) {
+            return { flush: false, urgent: false, reason: "No ready requests", fees: null };
+        }
+
+        // Deadlines override the size and base fee policies
+        const due = records.filter(r => this.isDue(r, now));
+        if (due.length > 0) {
+            return {
+                flush: true,
+                urgent: true,
+                reason: `${due.length} request(s) at their deadline`,
+                fees: null
+            };
+        }
+
+        const full = records.length >= this.maxBatchSize;
+        if (!full && records.length < this.minBatchSize) {
+            return {
+                flush: false,
+                urgent: false,
+                reason: `${records.length} ready, waiting for ${this.minBatchSize}`,
+                fees: null
+            };
+        }
+
+        let fees = null;
+        if (this.maxBaseFee !== null) {
+            fees = await this.feeSource.getFees();
+            if (fees.baseFee > this.maxBaseFee) {
+                return {
+                    flush: false,
+                    urgent: false,
+                    reason: `Base fee ${ethers.formatUnits(fees.baseFee, "gwei")} gwei ` +
+                        `above cap of ${ethers.formatUnits(this.maxBaseFee, "gwei")} gwei`,
+                    fees
+                };
+            }
+        }
+
+        return { flush: true, urgent: false, reason: full ? "Batch full" : "Ready", fees };
+    }
+
+    /**
+     * Second gate, once the batch's gas is known: would GasSponsor pay
+     * back enough of it? Always passes unless requireReimbursement is set.
+     *
+     * @param estimatedGas - Gas estimate for the batch
+     * @param relayer      - Address of the wallet that would claim
+     * @param shares       - Gas per request sender (see gasShares() in
+     *                       sponsor-budget.js): { total, sponsored }
+     * @param fees         - Fees from shouldFlush(), read again if null
+     * @returns { covered, cost, reimbursement, reason }
+     */
+    async checkReimbursement(estimatedGas, relayer, shares, fees = null) {
+        if (!this.requireReimbursement) {
+            return { covered: true, cost: null, reimbursement: null, reason: null };
+        }
+
+        fees = fees || await this.feeSource.getFees();
+        const cost = estimatedGas * (fees.baseFee + fees.priorityFee);
+        if (shares.sponsored.size === 0) {
+            return { covered: false, cost, reimbursement: 0n, reason: "No sponsored requests in the batch" };
+        }
+
+        // Each sender is claimed for their part of the estimate
+        const { users, amounts } = splitCost(cost, shares.sponsored, shares.total);
+        const [reimbursement, wouldSucceed] =
+            await this.sponsor.estimateReimbursement(relayer, users, amounts);
+
+        if (!wouldSucceed) {
+            return { covered: false, cost, reimbursement: 0n, reason: "GasSponsor would reject the claim" };
+        }
+
+        if (reimbursement * 100n < cost * this.minCoverage) {
+            return {
+                covered: false,
+                cost,
+                reimbursement,
+                reason: `Reimbursement ${ethers.formatEther(reimbursement)} ETH covers less than ` +
+                    `${this.minCoverage}% of ${ethers.formatEther(cost)} ETH`
+            };
+        }
+
+        return { covered: true, cost, reimbursement, reason: null };
+    }
+}
+
+export { BatchScheduler, providerFeeSource };
@@ -24,15 +24,31 @@ pragma solidity ^0.8.20;
  *   1. Users sign ForwardRequest structs off-chain via EIP-712 (no gas cost)
  *   2. A relayer collects signed requests into a queue
  *   3. Relayer calls executeBatch() with all requests + signatures in one TX
- *   4. This contract verifies each signature, checks nonces, and executes
+ *   4. This contract verifies each signature, checks nonces and validity
+ *      windows, and executes
  *   5. Original sender identity is propagated to target contracts via calldata appending
  *
+ *   Alternatively a user signs one ForwardBatch (an ordered list of calls under
+ *   a single signature and nonce) and the relayer calls executeSignedBatches().
+ *
+ *   SESSION KEYS: a user can sign one SessionGrant that lets a short-lived key
+ *   sign ForwardRequests for them — until an expiry, only to a single ERC-20
+ *   token and only its transfer/approve/transferFrom functions (the calls whose
+ *   amounts are metered), moving or approving at most a capped amount of that
+ *   token. Such a
+ *   request's signature is abi.encode(grant, grantSignature, sessionSignature);
+ *   verify() checks the grant and executeBatch() charges its spend.
+ *
  * SECURITY MODEL:
  *   - EIP-712 domain separator binds signatures to this contract on this chain
  *   - Sequential nonces prevent replay attacks
+ *   - Optional validAfter/validUntil bound when a signed request may execute
  *   - Nonce incremented before execution prevents reentrancy-based reuse
  *   - Gas limits per sub-call prevent griefing attacks
  *   - Users can bypass the relayer and call executeBatch() directly
+ *   - Session keys are limited by their grant (expiry, one token, metered
+ *     ERC-20 selectors, spend)
+ *     and share the owner's nonce; owners can revoke a grant with revokeSession()
  */
 contract BatchExecutor {
 
@@ -45,14 +61,46 @@ contract BatchExecutor {
     // The "type hash" for our ForwardRequest struct.
     // Think of it as a fingerprint of the struct's shape.
     bytes32 public constant REQUEST_TYPEHASH = keccak256(
-        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,bytes data)"
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,bytes data,uint256 validAfter,uint256 validUntil)"
+    );
+
+    // Type hashes for ForwardBatch. EIP-712 appends the definition of every
+    // struct a type references, so Call's definition is part of BATCH_TYPEHASH.
+    bytes32 public constant CALL_TYPEHASH = keccak256(
+        "Call(address to,uint256 value,uint256 gas,bytes data)"
+    );
+
+    bytes32 public constant BATCH_TYPEHASH = keccak256(
+        "ForwardBatch(address from,Call[] calls,uint256 nonce,uint256 validAfter,uint256 validUntil)Call(address to,uint256 value,uint256 gas,bytes data)"
+    );
+
+    // Type hash for SessionGrant: `owner` lets `sessionKey` sign requests for
+    // them until `validUntil`, calling only `targets` and `selectors`, moving
+    // at most `spendLimit` token units in total. `salt` tells apart otherwise
+    // identical grants. Only grants with a single target token and a non-empty
+    // list of metered selectors (below) are ever honoured.
+    bytes32 public constant SESSION_TYPEHASH = keccak256(
+        "SessionGrant(address owner,address sessionKey,uint256 validUntil,address[] targets,bytes4[] selectors,uint256 spendLimit,uint256 salt)"
     );
 
+    // ERC-20 calls whose amount counts against a session's spend limit, and
+    // the only ones a session may make: anything else (increaseAllowance,
+    // permit, transferAndCall...) could move tokens without being charged
+    bytes4 private constant TRANSFER_SELECTOR = bytes4(keccak256("transfer(address,uint256)"));
+    bytes4 private constant APPROVE_SELECTOR = bytes4(keccak256("approve(address,uint256)"));
+    bytes4 private constant TRANSFER_FROM_SELECTOR = bytes4(keccak256("transferFrom(address,address,uint256)"));
+
     // ─── Nonce Tracking ──────────────────────────────────────────
     // Each user has a nonce that increments after each executed request.
     // mapping: user address => their current nonce
     mapping(address => uint256) public nonces;
 
+    // ─── Session Tracking ────────────────────────────────────────
+    // Token units spent under each grant, keyed by the grant's EIP-712
+    // digest (its ID), and the grants each owner has revoked.
+    mapping(bytes32 => uint256) public sessionSpent;
+    mapping(address => mapping(bytes32 => bool)) public revokedSessions;
+
     // ─── The ForwardRequest Struct ───────────────────────────────
     // This is what a user signs. It represents one action they want to perform.
     struct ForwardRequest {
@@ -62,17 +110,52 @@ contract BatchExecutor {
         uint256 gas;     // Gas limit for this specific call
         uint256 nonce;   // User's current nonce (replay protection)
         bytes data;      // The actual function call data (encoded)
+        uint256 validAfter;  // Unix time it may execute from (0 = any time)
+        uint256 validUntil;  // Unix time it expires at (0 = never)
+    }
+
+    // ─── The ForwardBatch Struct ─────────────────────────────────
+    // Several calls signed at once: one signature and one nonce cover
+    // all of them. Each call runs like a ForwardRequest's call.
+    struct Call {
+        address to;      // Which contract to call
+        uint256 value;   // ETH to send along (usually 0)
+        uint256 gas;     // Gas limit for this call
+        bytes data;      // The encoded function call
+    }
+
+    struct ForwardBatch {
+        address from;    // The user who signed
+        Call[] calls;    // Executed in order
+        uint256 nonce;   // User's current nonce (used once for the whole batch)
+        uint256 validAfter;  // Unix time it may execute from (0 = any time)
+        uint256 validUntil;  // Unix time it expires at (0 = never)
+    }
+
+    // ─── The SessionGrant Struct ─────────────────────────────────
+    // Signed once by the user; travels inside every session signature.
+    struct SessionGrant {
+        address owner;        // The user the session key signs for
+        address sessionKey;   // Ephemeral key held by the user's browser
+        uint256 validUntil;   // Unix time after which the grant is void
+        address[] targets;    // The one token the key may call
+        bytes4[] selectors;   // transfer/approve/transferFrom, at least one
+        uint256 spendLimit;   // Cap on those calls' amounts, in that token's units
+        uint256 salt;         // Makes each grant's ID unique
     }
 
     // ─── Events ──────────────────────────────────────────────────
     // Events are logs stored on-chain. Useful for the frontend to
     // track what happened.
 
+    // gasUsed: what the call itself used, so the relayer can charge each
+    // user for their own calls when it claims from GasSponsor
     event RequestExecuted(
         address indexed from,
         address indexed to,
         uint256 nonce,
-        bool success
+        bool success,
+        uint256 gasUsed
     );
 
     event BatchExecuted(
@@ -81,6 +164,17 @@ contract BatchExecutor {
         uint256 successCount
     );
 
+    event SessionUsed(
+        address indexed owner,
+        bytes32 indexed grantId,
+        uint256 amount
+    );
+
+    event SessionRevoked(
+        address indexed owner,
+        bytes32 indexed grantId
+    );
+
     // ─── Constructor ─────────────────────────────────────────────
     // Runs once when the contract is deployed.
     // Sets up the EIP-712 domain separator.
@@ -114,7 +208,9 @@ contract BatchExecutor {
                 req.value,
                 req.gas,
                 req.nonce,
-                keccak256(req.data)
+                keccak256(req.data),
+                req.validAfter,
+                req.validUntil
             )
         );
 
@@ -123,13 +219,179 @@ contract BatchExecutor {
             abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
         );
 
-        // Step 3: Recover the signer from the signature
+        // Step 3: Outside its validity window the request is dead either way
+        if (!_isValidNow(req.validAfter, req.validUntil)) return false;
+
+        // Step 4: Anything but a plain 65-byte signature is a session signature
+        if (signature.length != 65) {
+            return req.nonce == nonces[req.from] && _verifySession(req, digest, signature);
+        }
+
+        // Step 5: Recover the signer from the signature
         address signer = _recoverSigner(digest, signature);
 
-        // Step 4: Check that the signer matches AND nonce is correct
+        // Step 6: Check that the signer matches AND nonce is correct
         return signer == req.from && req.nonce == nonces[req.from];
     }
 
+    // ─── Core Function: Hash a Session Grant ─────────────────────
+    // The EIP-712 digest the owner signs; also the grant's ID.
+    // Arrays of addresses and bytes4 are hashed as their 32-byte words.
+
+    function hashSessionGrant(
+        SessionGrant memory grant
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SESSION_TYPEHASH,
+                grant.owner,
+                grant.sessionKey,
+                grant.validUntil,
+                keccak256(abi.encodePacked(grant.targets)),
+                keccak256(abi.encodePacked(grant.selectors)),
+                grant.spendLimit,
+                grant.salt
+            )
+        );
+
+        return keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
+        );
+    }
+
+    // ─── Session Keys: Revoke a Grant ────────────────────────────
+    // The owner sends this directly; the grant stops verifying at once.
+
+    function revokeSession(bytes32 grantId) external {
+        revokedSessions[msg.sender][grantId] = true;
+        emit SessionRevoked(msg.sender, grantId);
+    }
+
+    // ─── Core Function: Verify a Batch Signature ─────────────────
+    // Same as verify(), for a ForwardBatch. An array of structs is hashed
+    // as the keccak256 of its elements' struct hashes, concatenated.
+
+    function verifyBatch(
+        ForwardBatch calldata batch,
+        bytes calldata signature
+    ) public view returns (bool) {
+        bytes32[] memory callHashes = new bytes32[](batch.calls.length);
+        for (uint256 i = 0; i < batch.calls.length; i++) {
+            Call calldata c = batch.calls[i];
+            callHashes[i] = keccak256(
+                abi.encode(CALL_TYPEHASH, c.to, c.value, c.gas, keccak256(c.data))
+            );
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                BATCH_TYPEHASH,
+                batch.from,
+                keccak256(abi.encodePacked(callHashes)),
+                batch.nonce,
+                batch.validAfter,
+                batch.validUntil
+            )
+        );
+
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
+        );
+
+        address signer = _recoverSigner(digest, signature);
+        return signer == batch.from
+            && batch.nonce == nonces[batch.from]
+            && _isValidNow(batch.validAfter, batch.validUntil);
+    }
+
+    // ─── Internal: Validity Window ───────────────────────────────
+    // validAfter and validUntil are unix times; 0 leaves that side open.
+
+    function _isValidNow(
+        uint256 validAfter,
+        uint256 validUntil
+    ) internal view returns (bool) {
+        return block.timestamp >= validAfter
+            && (validUntil == 0 || block.timestamp <= validUntil);
+    }
+
+    // ─── Internal: Session Signature Checks ──────────────────────
+    // The grant must be signed by req.from, unexpired and unrevoked, cover
+    // the call, and have spend left; the request must be signed by the
+    // grant's session key. Sessions never move ETH.
+
+    function _verifySession(
+        ForwardRequest calldata req,
+        bytes32 digest,
+        bytes calldata signature
+    ) internal view returns (bool) {
+        (SessionGrant memory grant, bytes memory grantSignature, bytes memory sessionSignature) =
+            abi.decode(signature, (SessionGrant, bytes, bytes));
+
+        if (grant.owner != req.from || block.timestamp > grant.validUntil) return false;
+        if (req.value != 0 || !_inSessionScope(grant, req.to, req.data)) return false;
+
+        bytes32 grantId = hashSessionGrant(grant);
+        if (revokedSessions[grant.owner][grantId]) return false;
+        if (sessionSpent[grantId] + _spendOf(req.data) > grant.spendLimit) return false;
+
+        return _recoverSigner(grantId, grantSignature) == grant.owner
+            && _recoverSigner(digest, sessionSignature) == grant.sessionKey;
+    }
+
+    function _inSessionScope(
+        SessionGrant memory grant,
+        address to,
+        bytes calldata data
+    ) internal pure returns (bool) {
+        // spendLimit is in one token's units and only metered calls are charged,
+        // so a grant must name exactly one target and only metered selectors
+        if (grant.targets.length != 1 || grant.selectors.length == 0) return false;
+        for (uint256 i = 0; i < grant.selectors.length; i++) {
+            if (!_isMetered(grant.selectors[i])) return false;
+        }
+        if (grant.targets[0] != to || data.length < 4) return false;
+
+        bytes4 selector = bytes4(data[:4]);
+        for (uint256 i = 0; i < grant.selectors.length; i++) {
+            if (grant.selectors[i] == selector) return true;
+        }
+        return false;
+    }
+
+    function _isMetered(bytes4 selector) internal pure returns (bool) {
+        return selector == TRANSFER_SELECTOR
+            || selector == APPROVE_SELECTOR
+            || selector == TRANSFER_FROM_SELECTOR;
+    }
+
+    // Token amount a call moves or approves (0 for any other call)
+    function _spendOf(bytes calldata data) internal pure returns (uint256) {
+        if (data.length < 4) return 0;
+        bytes4 selector = bytes4(data[:4]);
+
+        if ((selector == TRANSFER_SELECTOR || selector == APPROVE_SELECTOR) && data.length >= 68) {
+            return abi.decode(data[36:68], (uint256));
+        }
+        if (selector == TRANSFER_FROM_SELECTOR && data.length >= 100) {
+            return abi.decode(data[68:100], (uint256));
+        }
+        return 0;
+    }
+
+    // Record a verified session request's spend against its grant
+    function _chargeSession(
+        ForwardRequest calldata req,
+        bytes calldata signature
+    ) internal {
+        (SessionGrant memory grant, , ) = abi.decode(signature, (SessionGrant, bytes, bytes));
+        bytes32 grantId = hashSessionGrant(grant);
+        uint256 amount = _spendOf(req.data);
+
+        sessionSpent[grantId] += amount;
+        emit SessionUsed(req.from, grantId, amount);
+    }
+
     // ─── Core Function: Execute a Single Request ─────────────────
     // Internal function that executes one verified request.
 
@@ -142,11 +404,34 @@ contract BatchExecutor {
         // Execute the call
         // We append req.from to the call data so the target contract
         // can know who the original sender was (not the relayer)
+        uint256 gasBefore = gasleft();
         (success, ) = req.to.call{gas: req.gas, value: req.value}(
             abi.encodePacked(req.data, req.from)
         );
 
-        emit RequestExecuted(req.from, req.to, req.nonce, success);
+        emit RequestExecuted(req.from, req.to, req.nonce, success, gasBefore - gasleft());
+    }
+
+    // ─── Core Function: Execute a User's ForwardBatch ────────────
+    // Internal function that executes one verified ForwardBatch.
+    // Every call emits RequestExecuted with the batch's nonce.
+
+    function _executeForwardBatch(
+        ForwardBatch calldata batch
+    ) internal returns (bool[] memory results) {
+        // One nonce for the whole batch, used up before any call runs
+        nonces[batch.from] = batch.nonce + 1;
+
+        results = new bool[](batch.calls.length);
+        for (uint256 i = 0; i < batch.calls.length; i++) {
+            Call calldata c = batch.calls[i];
+            uint256 gasBefore = gasleft();
+            (results[i], ) = c.to.call{gas: c.gas, value: c.value}(
+                abi.encodePacked(c.data, batch.from)
+            );
+
+            emit RequestExecuted(batch.from, c.to, batch.nonce, results[i], gasBefore - gasleft());
+        }
     }
 
     // ─── Core Function: Execute a Batch ──────────────────────────
@@ -168,12 +453,23 @@ contract BatchExecutor {
         uint256 successCount = 0;
 
         for (uint256 i = 0; i < requests.length; i++) {
+            // Checked before verify() so an expired request says so
+            require(
+                _isValidNow(requests[i].validAfter, requests[i].validUntil),
+                "BatchExecutor: request expired or not yet valid"
+            );
+
             // Verify signature for each request
             require(
                 verify(requests[i], signatures[i]),
                 "BatchExecutor: invalid signature or nonce"
             );
 
+            // Session requests use up their grant's spend before executing
+            if (signatures[i].length != 65) {
+                _chargeSession(requests[i], signatures[i]);
+            }
+
             // Execute the request
             results[i] = _executeRequest(requests[i]);
 
@@ -185,6 +481,48 @@ contract BatchExecutor {
         emit BatchExecuted(msg.sender, requests.length, successCount);
     }
 
+    // ─── Core Function: Execute Signed Batches ───────────────────
+    // Like executeBatch(), but each entry is one user's ForwardBatch,
+    // approved with a single signature for all of its calls.
+
+    function executeSignedBatches(
+        ForwardBatch[] calldata batches,
+        bytes[] calldata signatures
+    ) external payable returns (bool[][] memory results) {
+        require(
+            batches.length == signatures.length,
+            "BatchExecutor: length mismatch"
+        );
+        require(batches.length > 0, "BatchExecutor: empty batch");
+
+        results = new bool[][](batches.length);
+        uint256 totalCalls = 0;
+        uint256 successCount = 0;
+
+        for (uint256 i = 0; i < batches.length; i++) {
+            require(batches[i].calls.length > 0, "BatchExecutor: no calls");
+            require(
+                _isValidNow(batches[i].validAfter, batches[i].validUntil),
+                "BatchExecutor: request expired or not yet valid"
+            );
+            require(
+                verifyBatch(batches[i], signatures[i]),
+                "BatchExecutor: invalid signature or nonce"
+            );
+
+            results[i] = _executeForwardBatch(batches[i]);
+
+            totalCalls += results[i].length;
+            for (uint256 j = 0; j < results[i].length; j++) {
+                if (results[i][j]) {
+                    successCount++;
+                }
+            }
+        }
+
+        emit BatchExecuted(msg.sender, totalCalls, successCount);
+    }
+
     // ─── Helper: Get Current Nonce ───────────────────────────────
     function getNonce(address from) external view returns (uint256) {
         return nonces[from];
@@ -196,7 +534,7 @@ contract BatchExecutor {
 
     function _recoverSigner(
         bytes32 digest,
-        bytes calldata signature
+        bytes memory signature
     ) internal pure returns (address) {
         require(signature.length == 65, "BatchExecutor: invalid signature length");
 
@@ -204,11 +542,12 @@ contract BatchExecutor {
         bytes32 s;
         uint8 v;
 
-        // Signatures are 65 bytes: [r (32 bytes)][s (32 bytes)][v (1 byte)]
+        // Signatures are 65 bytes: [r (32 bytes)][s (32 bytes)][v (1 byte)],
+        // after the 32-byte length word of a bytes array in memory
         assembly {
-            r := calldataload(signature.offset)
-            s := calldataload(add(signature.offset, 32))
-            v := byte(0, calldataload(add(signature.offset, 64)))
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
         }
 
         // ecrecover is a built-in Solidity function that recovers
@@ -28,7 +28,8 @@ pragma solidity ^0.8.20;
  * ECONOMICS:
  *   The pool acts as a shared public good. Any address can deposit ETH.
  *   Only whitelisted relayers can claim reimbursement after executing batches.
- *   Per-user costs are split equally among batch participants for fair accounting.
+ *   Each claim names what every user in the batch cost, so a user is charged
+ *   for their own requests; Claimed events carry the per-user amounts.
  *
  * SECURITY:
  *   - Only whitelisted relayers can claim (setRelayer by owner)
@@ -80,7 +81,7 @@ contract GasSponsor {
         address indexed relayer,
         uint256 amount,
         address[] users,
-        uint256 batchSize
+        uint256[] amounts
     );
     event RelayerStatusChanged(address indexed relayer, bool whitelisted);
     event LimitsUpdated(
@@ -143,25 +144,23 @@ contract GasSponsor {
     /**
      * @notice Relayer claims reimbursement after executing a batch.
      * 
-     * @param amount   - Total gas cost the relayer spent
-     * @param users    - Array of user addresses in the batch
-     *                   (for per-user tracking)
+     * @param users    - Users in the batch (for per-user tracking)
+     * @param amounts  - Gas cost each user's requests caused, in wei
+     *                   (same order as users)
      * 
      * HOW PARTIAL SPONSORSHIP WORKS:
      * If the relayer spent 0.01 ETH but maxPerClaim is 0.005 ETH,
-     * they only get reimbursed 0.005 ETH. The relayer absorbs
-     * the rest, or can charge users through other means.
+     * they only get reimbursed 0.005 ETH, and every user's amount is
+     * scaled down by the same ratio. The relayer absorbs the rest,
+     * or can charge users through other means.
      */
     function claim(
-        uint256 amount,
-        address[] calldata users
+        address[] calldata users,
+        uint256[] calldata amounts
     ) external onlyWhitelistedRelayer whenNotPaused {
-        
+
         // ── Step 1: Cap the claim amount ──
-        uint256 reimbursement = amount;
-        if (reimbursement > maxPerClaim) {
-            reimbursement = maxPerClaim;  // Partial sponsorship kicks in
-        }
+        (uint256 reimbursement, uint256[] memory shares) = _capShares(users, amounts);
 
         // ── Step 2: Check relayer daily limit ──
         uint256 today = block.timestamp / 1 days;
@@ -176,10 +175,9 @@ contract GasSponsor {
             "GasSponsor: relayer daily limit reached"
         );
 
-        // ── Step 3: Check per-user daily limits ──
-        // Split reimbursement equally among users for tracking purposes
-        uint256 perUserCost = reimbursement / users.length;
-
+        // ── Step 3: Check and track per-user daily limits ──
+        // Each user is charged their own share. Tracked as we go, so a
+        // user listed twice is held to one limit (a revert undoes it all)
         for (uint256 i = 0; i < users.length; i++) {
             if (userLastSponsorDay[users[i]] < today) {
                 userDailySponsored[users[i]] = 0;
@@ -187,9 +185,10 @@ contract GasSponsor {
             }
 
             require(
-                userDailySponsored[users[i]] + perUserCost <= dailyLimitPerUser,
+                userDailySponsored[users[i]] + shares[i] <= dailyLimitPerUser,
                 "GasSponsor: user daily limit reached"
             );
+            userDailySponsored[users[i]] += shares[i];
         }
 
         // ── Step 4: Check global daily limit ──
@@ -211,11 +210,6 @@ contract GasSponsor {
 
         // ── Step 6: Update all tracking state ──
         relayerDailyClaimed[msg.sender] += reimbursement;
-
-        for (uint256 i = 0; i < users.length; i++) {
-            userDailySponsored[users[i]] += perUserCost;
-        }
-
         globalDailyClaimed += reimbursement;
         totalClaimed += reimbursement;
         totalClaimCount++;
@@ -224,7 +218,7 @@ contract GasSponsor {
         (bool sent, ) = payable(msg.sender).call{value: reimbursement}("");
         require(sent, "GasSponsor: transfer failed");
 
-        emit Claimed(msg.sender, reimbursement, users, users.length);
+        emit Claimed(msg.sender, reimbursement, users, shares);
     }
 
     // ─── Pre-check Function ──────────────────────────────────────
@@ -233,17 +227,16 @@ contract GasSponsor {
      * @notice Check if a claim would succeed without executing it.
      * Useful for the relayer to decide whether to submit a batch.
      * Returns the actual reimbursement amount (may be less than requested).
+     * Assumes each user appears once in `users`.
      */
     function estimateReimbursement(
-        uint256 amount,
         address relayer,
-        address[] calldata users
+        address[] calldata users,
+        uint256[] calldata amounts
     ) external view returns (uint256 reimbursement, bool wouldSucceed) {
-        
-        reimbursement = amount;
-        if (reimbursement > maxPerClaim) {
-            reimbursement = maxPerClaim;
-        }
+
+        uint256[] memory shares;
+        (reimbursement, shares) = _capShares(users, amounts);
 
         // Check pool balance
         if (address(this).balance < reimbursement) {
@@ -270,13 +263,12 @@ contract GasSponsor {
         }
 
         // Check per-user limits
-        uint256 perUserCost = reimbursement / users.length;
         for (uint256 i = 0; i < users.length; i++) {
             uint256 userClaimed = userDailySponsored[users[i]];
             if (userLastSponsorDay[users[i]] < today) {
                 userClaimed = 0;
             }
-            if (userClaimed + perUserCost > dailyLimitPerUser) {
+            if (userClaimed + shares[i] > dailyLimitPerUser) {
                 return (0, false);
             }
         }
@@ -284,6 +276,31 @@ contract GasSponsor {
         return (reimbursement, true);
     }
 
+    // ─── Internal: Per-Claim Cap ─────────────────────────────────
+    // Scales the users' amounts down pro rata when their sum is over
+    // maxPerClaim. Returns the scaled amounts and their sum.
+
+    function _capShares(
+        address[] calldata users,
+        uint256[] calldata amounts
+    ) internal view returns (uint256 reimbursement, uint256[] memory shares) {
+        require(users.length > 0, "GasSponsor: no users");
+        require(users.length == amounts.length, "GasSponsor: length mismatch");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            total += amounts[i];
+        }
+
+        shares = new uint256[](amounts.length);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            shares[i] = total > maxPerClaim
+                ? amounts[i] * maxPerClaim / total  // Partial sponsorship kicks in
+                : amounts[i];
+            reimbursement += shares[i];
+        }
+    }
+
     // ─── Admin Functions ─────────────────────────────────────────
 
     function setRelayer(address relayer, bool status) external onlyOwner {
@@ -0,0 +1,179 @@
+// fee-quoter.js
+// Token fee mode: users pay the relayer through the batch itself.
+//
+// GasSponsor reimbursement is capped by the sponsor's limits. In token fee
+// mode each user adds a "fee leg" to their signed set — a token transfer
+// to a relayer address (see sdk/fees.js) — and the relayer only submits a
+// sender's requests once the fee leg in them covers their gas. In a
+// ForwardBatch the fee leg is simply its last call.
+
+import { ethers } from "ethers";
+import { FEE_TOKEN_ABI, callsOf } from "./sdk/index.js";
+
+const FEE_MODES = ["sponsored", "token"];
+
+class FeeQuoter {
+    /**
+     * @param options - {
+     *   token            - Fee token address (e.g. SampleToken)
+     *   recipient        - Address quotes tell users to pay
+     *   recipients       - Other addresses accepted as payee (relayer wallets)
+     *   tokenPerEth      - Token base units charged per 1 ETH of gas
+     *   markupPercent    - Added on top of the gas cost (default 10)
+     *   tolerancePercent - How far below the current price a fee leg may be,
+     *                      since gas moves between quote and batch (default 20)
+     *   feeLegGas        - `gas` for the fee transfer itself (default 60000)
+     *   waitMs           - How long a bundle may wait for its fee leg (default 60s)
+     *   packer           - BatchPacker, for each request's worst-case gas
+     *   feeSource        - { getFees() => { baseFee, priorityFee } }
+     *   provider         - For balanceOf reads
+     * }
+     */
+    constructor(options) {
+        this.token = ethers.getAddress(options.token);
+        this.recipient = ethers.getAddress(options.recipient);
+        this.recipients = new Set(
+            [options.recipient, ...(options.recipients || [])].map(a => a.toLowerCase())
+        );
+
+        this.tokenPerEth = BigInt(options.tokenPerEth);
+        this.markupPercent = BigInt(options.markupPercent ?? 10);
+        this.tolerancePercent = BigInt(options.tolerancePercent ?? 20);
+        this.feeLegGas = BigInt(options.feeLegGas || 60000);
+        this.waitMs = options.waitMs ?? 60000;
+
+        this.packer = options.packer;
+        this.feeSource = options.feeSource;
+        this.tokenContract = new ethers.Contract(this.token, FEE_TOKEN_ABI, options.provider);
+        this.iface = new ethers.Interface(FEE_TOKEN_ABI);
+    }
+
+    async gasPrice() {
+        const fees = await this.feeSource.getFees();
+        return fees.baseFee + fees.priorityFee;
+    }
+
+    /**
+     * Token amount for `gasUnits` of gas at `gasPrice`, with markup.
+     */
+    amountFor(gasUnits, gasPrice) {
+        const costWei = gasUnits * gasPrice;
+        return costWei * this.tokenPerEth * (100n + this.markupPercent) / (100n * 10n ** 18n);
+    }
+
+    /**
+     * Quote the fee for actions with the given gas limits. The fee leg's
+     * own gas is included, so `amount` is exactly what to transfer.
+     */
+    async quote(gasLimits) {
+        const gasPrice = await this.gasPrice();
+
+        let gasUnits = this.packer.entryGas({ gas: this.feeLegGas });
+        for (const gas of gasLimits) gasUnits += this.packer.entryGas({ gas });
+
+        return {
+            mode: "token",
+            token: this.token,
+            recipient: this.recipient,
+            amount: this.amountFor(gasUnits, gasPrice).toString(),
+            feeLegGas: this.feeLegGas.toString(),
+            gasUnits: gasUnits.toString(),
+            gasPrice: gasPrice.toString(),
+            quotedAt: Date.now()
+        };
+    }
+
+    /**
+     * Decode a token transfer call (a request, or one call of a
+     * ForwardBatch). Returns { to, amount } or null.
+     */
+    decodeTransfer(call) {
+        if (call.to.toLowerCase() !== this.token.toLowerCase()) return null;
+        try {
+            const parsed = this.iface.parseTransaction({ data: call.data });
+            if (!parsed || parsed.name !== "transfer") return null;
+            return { to: parsed.args[0], amount: parsed.args[1] };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Amount a call pays the relayer, or 0n if it isn't a fee leg.
+     */
+    feePaid(call) {
+        const transfer = this.decodeTransfer(call);
+        if (!transfer || !this.recipients.has(transfer.to.toLowerCase())) return 0n;
+        return transfer.amount;
+    }
+
+    /**
+     * Split ready records into bundles (one per sender) and check each
+     * one's fee leg against the current price.
+     *
+     * @returns { accepted, waiting, refused }
+     *   accepted - Records whose bundle pays enough
+     *   waiting  - Records whose fee leg hasn't arrived yet (re-queue)
+     *   refused  - { record, reason } for bundles that can't be accepted
+     */
+    async review(records, now = Date.now()) {
+        const bundles = new Map();
+        for (const record of records) {
+            const sender = record.request.from.toLowerCase();
+            if (!bundles.has(sender)) bundles.set(sender, []);
+            bundles.get(sender).push(record);
+        }
+
+        const gasPrice = await this.gasPrice();
+        const accepted = [];
+        const waiting = [];
+        const refused = [];
+
+        for (const bundle of bundles.values()) {
+            let paid = 0n;
+            let gasUnits = 0n;
+            let outflow = 0n;
+
+            for (const { request } of bundle) {
+                gasUnits += this.packer.entryGas(request);
+                for (const call of callsOf(request)) {
+                    paid += this.feePaid(call);
+                    const transfer = this.decodeTransfer(call);
+                    if (transfer) outflow += transfer.amount;
+                }
+            }
+
+            const required = this.amountFor(gasUnits, gasPrice) * (100n - this.tolerancePercent) / 100n;
+            const refuse = (reason) => refused.push(...bundle.map(record => ({ record, reason })));
+
+            if (paid === 0n) {
+                // The fee leg is signed last and may still be on its way
+                const oldest = Math.min(...bundle.map(r => r.createdAt));
+                if (now - oldest < this.waitMs) {
+                    waiting.push(...bundle);
+                } else {
+                    refuse("Fee leg missing");
+                }
+                continue;
+            }
+
+            if (paid < required) {
+                refuse(`Fee too low: paid ${paid}, need ${required}`);
+                continue;
+            }
+
+            // The fee leg reverting inside the batch would leave it unpaid
+            const balance = await this.tokenContract.balanceOf(bundle[0].request.from);
+            if (balance < outflow) {
+                refuse(`Token balance ${balance} can't cover the bundle's transfers (${outflow})`);
+                continue;
+            }
+
+            accepted.push(...bundle);
+        }
+
+        return { accepted, waiting, refused };
+    }
+}
+
+export { FeeQuoter, FEE_MODES };
@@ -0,0 +1,56 @@
+// rate-limiter.js
+// Fixed-window request counters, keyed by client IP or sender address.
+//
+// Each key may make `limit` calls per `windowMs`; the window starts at the
+// key's first call. Counters live in memory, so limits are per server
+// process and reset on restart.
+
+class RateLimiter {
+    /**
+     * @param options - {
+     *   limit    - Calls allowed per window (0 = no limit)
+     *   windowMs - Window length (default 60s)
+     * }
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 0;
+        this.windowMs = options.windowMs || 60000;
+
+        // key => { count, resetAt }
+        this.windows = new Map();
+        this.nextSweep = 0;
+    }
+
+    /**
+     * Count one call for `key`. Returns 0 if it is allowed, otherwise how
+     * many ms until the key's window resets (the call isn't counted).
+     */
+    take(key, now = Date.now()) {
+        if (!this.limit) return 0;
+        this.sweep(now);
+
+        const id = String(key).toLowerCase();
+        let window = this.windows.get(id);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(id, window);
+        }
+
+        if (window.count >= this.limit) return window.resetAt - now;
+        window.count++;
+        return 0;
+    }
+
+    /**
+     * Forget windows that have ended, at most once per window length.
+     */
+    sweep(now) {
+        if (now < this.nextSweep) return;
+        for (const [id, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(id);
+        }
+        this.nextSweep = now + this.windowMs;
+    }
+}
+
+export { RateLimiter };
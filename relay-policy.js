@@ -0,0 +1,276 @@
+// relay-policy.js
+// What the relayer agrees to forward (and have GasSponsor pay for).
+//
+// Without a policy the relayer sponsors any call to any contract. A policy
+// file lists allow and deny rules over the target contract, the function
+// selector, `value`, `gas` and the sender; every call of a request (each
+// call of a ForwardBatch) has to pass. Edits to the file apply without a
+// restart. Example:
+//
+//   {
+//     "default": "deny",
+//     "maxGas": 500000,
+//     "maxValue": "0",
+//     "senders": { "deny": ["0x..."] },
+//     "labels": { "0xToken...": "SampleToken" },
+//     "rules": [
+//       { "name": "token transfers", "targets": ["0xToken..."],
+//         "selectors": ["transfer(address,uint256)"], "maxGas": 100000 },
+//       { "name": "no approvals", "action": "deny", "selectors": ["approve(address,uint256)"] }
+//     ]
+//   }
+//
+// A call is refused if its sender is deny-listed (or missing from a
+// non-empty allow list), it is over the global maxGas/maxValue, or any deny
+// rule matches it. Otherwise it needs a matching allow rule whose own
+// limits it fits, unless "default" is "allow".
+
+import fs from "fs";
+import { ethers } from "ethers";
+import { callsOf } from "./sdk/index.js";
+
+// Named in explanations even when no rule spells them out
+const KNOWN_FUNCTIONS = [
+    "transfer(address,uint256)",
+    "approve(address,uint256)",
+    "transferFrom(address,address,uint256)"
+];
+
+function selectorOf(data) {
+    return ethers.dataLength(data) >= 4 ? ethers.dataSlice(data, 0, 4) : "0x";
+}
+
+/**
+ * Check and normalize a policy object (the parsed file). Throws with the
+ * offending rule on anything malformed, so a bad edit is never applied.
+ */
+function parsePolicy(config) {
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        throw new Error("Policy must be a JSON object");
+    }
+
+    const functions = new Map(KNOWN_FUNCTIONS.map(signature => [
+        ethers.FunctionFragment.from(signature).selector, signature
+    ]));
+
+    const address = (where, value) => {
+        if (typeof value !== "string" || !ethers.isAddress(value)) {
+            throw new Error(`${where}: invalid address ${JSON.stringify(value)}`);
+        }
+        return value.toLowerCase();
+    };
+    const addresses = (where, list) => {
+        if (list === undefined || list === "*") return null;
+        if (!Array.isArray(list)) throw new Error(`${where}: expected an array of addresses`);
+        return new Set(list.map(value => address(where, value)));
+    };
+    const selectors = (where, list) => {
+        if (list === undefined || list === "*") return null;
+        if (!Array.isArray(list)) throw new Error(`${where}: expected an array of selectors`);
+        return new Set(list.map(value => {
+            if (value === "0x" || ethers.isHexString(value, 4)) return value.toLowerCase();
+            try {
+                const fragment = ethers.FunctionFragment.from(value);
+                functions.set(fragment.selector, fragment.format("sighash"));
+                return fragment.selector;
+            } catch (e) {
+                throw new Error(`${where}: invalid selector ${JSON.stringify(value)}`);
+            }
+        }));
+    };
+    const limit = (where, value) => {
+        if (value === undefined || value === null) return null;
+        if (!/^\d+$/.test(String(value))) throw new Error(`${where}: expected a non-negative integer`);
+        return BigInt(value);
+    };
+
+    const defaultAction = config.default || "deny";
+    if (defaultAction !== "allow" && defaultAction !== "deny") {
+        throw new Error(`default: expected "allow" or "deny", got ${JSON.stringify(defaultAction)}`);
+    }
+
+    const senders = config.senders || {};
+    const labels = new Map(Object.entries(config.labels || {}).map(([key, label]) =>
+        [address(`labels.${key}`, key), String(label)]
+    ));
+
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+        throw new Error("rules: expected an array");
+    }
+    const rules = (config.rules || []).map((rule, i) => {
+        const name = rule.name || `rule ${i + 1}`;
+        const where = `rules[${i}] (${name})`;
+        const action = rule.action || "allow";
+        if (action !== "allow" && action !== "deny") {
+            throw new Error(`${where}: action must be "allow" or "deny"`);
+        }
+        return {
+            name,
+            action,
+            targets: addresses(`${where}.targets`, rule.targets),
+            selectors: selectors(`${where}.selectors`, rule.selectors),
+            senders: addresses(`${where}.senders`, rule.senders),
+            maxGas: limit(`${where}.maxGas`, rule.maxGas),
+            maxValue: limit(`${where}.maxValue`, rule.maxValue)
+        };
+    });
+
+    const allowSenders = addresses("senders.allow", senders.allow);
+    return {
+        defaultAction,
+        maxGas: limit("maxGas", config.maxGas),
+        maxValue: limit("maxValue", config.maxValue),
+        allowSenders: allowSenders && allowSenders.size > 0 ? allowSenders : null,
+        denySenders: addresses("senders.deny", senders.deny) || new Set(),
+        labels,
+        functions,
+        rules
+    };
+}
+
+class RelayPolicy {
+    /**
+     * @param options - {
+     *   file            - JSON policy file, reloaded when it changes
+     *   rules           - Policy object, instead of a file
+     *   watchIntervalMs - How often the file is checked for changes (default 2s)
+     * }
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.watchIntervalMs = options.watchIntervalMs || 2000;
+        this.watching = false;
+        this.error = null;
+
+        if (this.file) {
+            // A policy that can't be read at startup is fatal: running
+            // without it would sponsor everything
+            this.policy = parsePolicy(JSON.parse(fs.readFileSync(this.file, "utf8")));
+        } else {
+            this.policy = parsePolicy(options.rules || {});
+        }
+        this.loadedAt = Date.now();
+    }
+
+    /**
+     * Re-read the file. A file that doesn't parse leaves the current rules
+     * in place (see status().error).
+     */
+    reload() {
+        try {
+            this.policy = parsePolicy(JSON.parse(fs.readFileSync(this.file, "utf8")));
+            this.loadedAt = Date.now();
+            this.error = null;
+            console.log(`✓ Relay policy reloaded from ${this.file} (${this.policy.rules.length} rules)`);
+        } catch (error) {
+            this.error = error.message;
+            console.error(`Relay policy ${this.file} not reloaded, keeping the previous rules:`, error.message);
+        }
+    }
+
+    /**
+     * Reload the file whenever it changes.
+     */
+    watch() {
+        if (!this.file || this.watching) return;
+        fs.watchFile(this.file, { interval: this.watchIntervalMs }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) this.reload();
+        });
+        this.watching = true;
+    }
+
+    close() {
+        if (this.watching) fs.unwatchFile(this.file);
+        this.watching = false;
+    }
+
+    status() {
+        return {
+            file: this.file,
+            default: this.policy.defaultAction,
+            rules: this.policy.rules.length,
+            loadedAt: new Date(this.loadedAt).toISOString(),
+            error: this.error
+        };
+    }
+
+    /**
+     * Why the policy refuses `request` (a ForwardRequest or ForwardBatch),
+     * or null if every call passes. The reason names the call decoded:
+     * function, target and limits.
+     */
+    check(request) {
+        const calls = callsOf(request);
+        for (let i = 0; i < calls.length; i++) {
+            const reason = this.checkCall(request.from, calls[i]);
+            if (!reason) continue;
+
+            const which = calls.length > 1 ? `call ${i + 1} of ${calls.length}, ` : "";
+            return `Policy refuses ${which}${this.describe(calls[i])}: ${reason}`;
+        }
+        return null;
+    }
+
+    checkCall(from, call) {
+        const policy = this.policy;
+        const sender = from.toLowerCase();
+        const gas = BigInt(call.gas);
+        const value = BigInt(call.value || 0);
+
+        if (policy.denySenders.has(sender)) return `sender ${from} is deny-listed`;
+        if (policy.allowSenders && !policy.allowSenders.has(sender)) {
+            return `sender ${from} is not on the allow list`;
+        }
+        if (policy.maxGas !== null && gas > policy.maxGas) {
+            return `gas ${gas} is over the ${policy.maxGas} limit`;
+        }
+        if (policy.maxValue !== null && value > policy.maxValue) {
+            return `value ${value} wei is over the ${policy.maxValue} wei limit`;
+        }
+
+        const target = call.to.toLowerCase();
+        const selector = selectorOf(call.data);
+        const matching = policy.rules.filter(rule =>
+            (!rule.targets || rule.targets.has(target)) &&
+            (!rule.selectors || rule.selectors.has(selector)) &&
+            (!rule.senders || rule.senders.has(sender))
+        );
+
+        const denied = matching.find(rule => rule.action === "deny");
+        if (denied) return `denied by rule "${denied.name}"`;
+
+        const allowing = matching.filter(rule => rule.action === "allow");
+        if (allowing.length === 0) {
+            return policy.defaultAction === "allow" ? null : "no rule allows this target and function";
+        }
+
+        const fits = (rule) =>
+            (rule.maxGas === null || gas <= rule.maxGas) &&
+            (rule.maxValue === null || value <= rule.maxValue);
+        if (allowing.some(fits)) return null;
+
+        const rule = allowing[0];
+        return rule.maxGas !== null && gas > rule.maxGas
+            ? `gas ${gas} is over the ${rule.maxGas} allowed by rule "${rule.name}"`
+            : `value ${value} wei is over the ${rule.maxValue} wei allowed by rule "${rule.name}"`;
+    }
+
+    /**
+     * "transfer(address,uint256) on SampleToken (0x...), gas 100000": the
+     * function by signature where the policy knows it.
+     */
+    describe(call) {
+        const selector = selectorOf(call.data);
+        const fn = selector === "0x"
+            ? "plain call"
+            : this.policy.functions.get(selector) || `function ${selector}`;
+
+        const label = this.policy.labels.get(call.to.toLowerCase());
+        const target = label ? `${label} (${call.to})` : call.to;
+
+        const value = BigInt(call.value || 0);
+        return `${fn} on ${target}, gas ${call.gas}` + (value > 0n ? `, value ${value} wei` : "");
+    }
+}
+
+export { RelayPolicy, parsePolicy };
@@ -3,182 +3,1446 @@
 // It collects signed requests and submits batch transactions.
 
 import { ethers } from "ethers";
+import { EventEmitter } from "events";
 import dotenv from "dotenv";
+import { REQUEST_STATUS, MemoryRequestStore } from "./request-store.js";
+import { SenderPool } from "./sender-pool.js";
+import { TxNotMinedError } from "./tx-manager.js";
+import { WalletPool } from "./wallet-pool.js";
+import { BatchScheduler, providerFeeSource } from "./batch-scheduler.js";
+import { BatchPacker } from "./batch-packer.js";
+import { FeeQuoter, FEE_MODES } from "./fee-quoter.js";
+import { RateLimiter } from "./rate-limiter.js";
+import { SponsorBudget, BUDGET_MODES, gasShares, splitCost } from "./sponsor-budget.js";
+import { SponsorLedger } from "./sponsor-ledger.js";
+import {
+    BATCH_EXECUTOR_ABI,
+    GAS_SPONSOR_ABI,
+    resolveDomain,
+    hashRequest,
+    recoverSigner,
+    hashBatch,
+    recoverBatchSigner,
+    isForwardBatch,
+    decodeSessionSignature,
+    recoverGrantSigner,
+    hashSessionGrant,
+    checkSessionScope,
+    spendOf
+} from "./sdk/index.js";
 
 dotenv.config();
 
 // --- Configuration ---
-const BATCH_EXECUTOR_ABI = [
-    "function executeBatch((address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data)[] requests, bytes[] signatures) external payable returns (bool[])",
-    "function verify((address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) external view returns (bool)",
-    "function getNonce(address from) external view returns (uint256)",
-    "event BatchExecuted(address indexed relayer, uint256 totalRequests, uint256 successCount)"
-];
 
-const GAS_SPONSOR_ABI = [
-    "function claim(uint256 amount, address[] calldata users) external",
-    "function getBalance() external view returns (uint256)"
+// Blocks per eth_getLogs query in reconcileLedger()
+const LOG_QUERY_BLOCKS = 10000;
+
+// Events emitted by Relayer (server.js streams these to clients).
+// Every payload carries `from` or `senders` so listeners can filter.
+const RELAY_EVENTS = [
+    "request.queued",         // { id, from, nonce, queueSize }
+    "request.failed",         // { id, from, nonce, reason } — evicted/dropped
+    "batch.submitted",        // { txHash, requestIds, senders }
+    "batch.replaced",         // { txHash, txHashes, kind, requestIds, senders } — fee bump or cancel
+    "batch.confirmed",        // { txHash, blockNumber, gasUsed, requestIds, senders }
+    "request.executed",       // { id, from, nonce, txHash, blockNumber, success, gasUsed }
+    "batch.failed",           // { error, requestIds, senders }
+    "reimbursement.claimed",  // { txHash, batchTxHash, amount, senders, amounts, unsponsored }
+    "reimbursement.failed"    // { batchTxHash, error, senders }
 ];
 
-class Relayer {
+// Best human-readable reason from an ethers error
+function revertReason(error) {
+    return error.reason || error.shortMessage || error.message;
+}
+
+// Gas a transaction pays before executing: 21k plus calldata
+function intrinsicGas(data) {
+    let gas = 21000n;
+    for (const byte of ethers.getBytes(data)) gas += byte === 0 ? 4n : 16n;
+    return gas;
+}
+
+// Deduplicated sender addresses of a set of records
+function uniqueSenders(records) {
+    return [...new Set(records.map(r => r.request.from))];
+}
+
+/**
+ * Thrown by addRequest() when a request is refused. `status` is the HTTP
+ * status server.js answers with: 400 for a bad request, 403 when the
+ * relay policy or a session grant doesn't allow it, 409 for a nonce
+ * conflict and 429 when the sender is over a limit (with `retryAfterMs`
+ * when waiting helps).
+ */
+class RequestRejectedError extends Error {
+    constructor(message, status = 400, retryAfterMs = null) {
+        super(message);
+        this.name = "RequestRejectedError";
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class Relayer extends EventEmitter {
     constructor(config) {
+        super();
+
         // Connect to Sepolia
         this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
 
-        // Relayer's own wallet (this account pays gas upfront)
-        this.wallet = new ethers.Wallet(config.relayerPrivateKey, this.provider);
+        // Relayer's own wallets (these accounts pay gas upfront). Each has
+        // a TxManager that owns its nonce and can bump or cancel stuck
+        // transactions; see wallet-pool.js for how senders are assigned.
+        this.wallets = new WalletPool(
+            config.relayerPrivateKeys || [config.relayerPrivateKey],
+            this.provider,
+            {
+                strategy: config.walletStrategy,
+                minBalance: config.minWalletBalance,
+                txOptions: {
+                    feeBumpPercent: config.feeBumpPercent,
+                    stuckTimeoutMs: config.stuckTimeoutMs,
+                    maxReplacements: config.maxReplacements
+                }
+            }
+        );
 
-        // Contract instances
+        // Contract instances (read-only; transactions are populated here
+        // and sent by whichever wallet owns the batch)
         this.batchExecutor = new ethers.Contract(
             config.batchExecutorAddress,
             BATCH_EXECUTOR_ABI,
-            this.wallet
+            this.provider
         );
 
         this.gasSponsor = config.gasSponsorAddress
-            ? new ethers.Contract(config.gasSponsorAddress, GAS_SPONSOR_ABI, this.wallet)
+            ? new ethers.Contract(config.gasSponsorAddress, GAS_SPONSOR_ABI, this.provider)
             : null;
 
-        // Queue of pending requests
-        this.pendingRequests = [];
-        this.pendingSignatures = [];
+        // Durable record of every request (see request-store.js).
+        // Defaults to memory-only; server.js passes a FileRequestStore.
+        this.store = config.store || new MemoryRequestStore();
+
+        // What GasSponsor paid for whom (see sponsor-ledger.js).
+        // Memory-only unless server.js passes a file.
+        this.ledger = config.ledger || new SponsorLedger();
+
+        // Pending records ({ id, request, signature, status, ... }) grouped
+        // by sender and ordered by nonce (see sender-pool.js)
+        this.queue = new SenderPool({
+            nonceWindow: config.nonceWindow,
+            gapTimeoutMs: config.gapTimeoutMs
+        });
 
         // Settings
         this.maxBatchSize = config.maxBatchSize || 10;
         this.batchIntervalMs = config.batchIntervalMs || 15000; // 15 seconds
+        this.recoveryTimeoutMs = config.recoveryTimeoutMs || 120000; // 2 minutes
+        this.maxSubmitAttempts = config.maxSubmitAttempts || 3;
+        this.balanceCheckMs = config.balanceCheckMs || 60000; // 1 minute
+        this.pruneIntervalMs = config.pruneIntervalMs || 3600000; // 1 hour
+
+        // Which calls the relayer agrees to forward (see relay-policy.js);
+        // null forwards anything
+        this.policy = config.policy || null;
+
+        // Anti-spam: pending requests one sender may have queued, and
+        // requests one sender may submit per window (0 = no limit)
+        this.maxPendingPerSender = config.maxPendingPerSender || 16;
+        this.senderLimiter = new RateLimiter({
+            limit: config.senderRateLimit,
+            windowMs: config.rateLimitWindowMs
+        });
+
+        // Caps each batch's worst-case gas (see batch-packer.js)
+        this.packer = new BatchPacker({
+            gasBudget: config.batchGasBudget,
+            entryOverhead: config.entryGasOverhead
+        });
+
+        const feeSource = config.feeSource || providerFeeSource(this.provider);
+        this.feeSource = feeSource;
+
+        // When a ready batch actually goes out (see batch-scheduler.js).
+        // With no policy options this flushes on every tick, as before.
+        this.scheduler = new BatchScheduler({
+            feeSource,
+            sponsor: this.gasSponsor,
+            maxBatchSize: this.maxBatchSize,
+            minBatchSize: config.minBatchSize,
+            maxBaseFee: config.maxBaseFee,
+            maxWaitMs: config.maxWaitMs,
+            deadlineMarginMs: config.deadlineMarginMs,
+            expiryMarginMs: config.expiryMarginMs,
+            requireReimbursement: config.requireReimbursement,
+            minCoverage: config.minReimbursementCoverage
+        });
+
+        // GasSponsor's daily limits mirrored off-chain (see sponsor-budget.js).
+        // A request over its sender's budget is rejected ("reject"), queued
+        // without sponsorship ("unsponsored") or also behind everyone else
+        // ("deprioritize"); "off" only splits claims.
+        this.budgetMode = config.budgetMode || "reject";
+        if (!BUDGET_MODES.includes(this.budgetMode)) {
+            throw new Error(`Unknown budget mode "${this.budgetMode}" (use ${BUDGET_MODES.join(", ")})`);
+        }
+        this.budget = this.gasSponsor
+            ? new SponsorBudget({ sponsor: this.gasSponsor, feeSource, packer: this.packer })
+            : null;
+
+        // "token" fee mode: users pay in tokens through a fee leg in their
+        // signed set (see fee-quoter.js). "sponsored" (default): GasSponsor only.
+        this.feeMode = config.feeMode || "sponsored";
+        if (!FEE_MODES.includes(this.feeMode)) {
+            throw new Error(`Unknown fee mode "${this.feeMode}" (use ${FEE_MODES.join(", ")})`);
+        }
+        this.fees = this.feeMode === "token"
+            ? new FeeQuoter({
+                token: config.feeToken,
+                recipient: config.feeRecipient || this.wallets.wallets[0].address,
+                recipients: this.wallets.wallets.map(w => w.address),
+                tokenPerEth: config.feeTokenPerEth,
+                markupPercent: config.feeMarkupPercent,
+                tolerancePercent: config.feeTolerancePercent,
+                waitMs: config.feeWaitMs,
+                packer: this.packer,
+                feeSource,
+                provider: this.provider
+            })
+            : null;
+
+        this.batchExecutorAddress = config.batchExecutorAddress;
+        this.domain = null;
+        this.domainPromise = null;
+
+        // Nonce cache for admission checks: lowercase sender => { nonce, fetchedAt }
+        this.nonceCache = new Map();
+        this.nonceCacheTtlMs = config.nonceCacheTtlMs || 30000; // 30 seconds
+    }
+
+    /**
+     * EIP-712 domain of the BatchExecutor, loaded once.
+     *
+     * resolveDomain() checks it against the contract's DOMAIN_SEPARATOR,
+     * so a wrong address or network fails loudly at startup instead of
+     * rejecting every signature.
+     */
+    async getDomain() {
+        if (this.domain) return this.domain;
+
+        if (!this.domainPromise) {
+            this.domainPromise = resolveDomain(this.provider, this.batchExecutorAddress).then((domain) => {
+                this.domain = domain;
+                return domain;
+            }).catch((error) => {
+                // Let the next call try again
+                this.domainPromise = null;
+                throw error;
+            });
+        }
+
+        return this.domainPromise;
+    }
+
+    /**
+     * On-chain nonce for a sender, served from cache when fresh.
+     * Pass `fresh` to force an RPC read (and refresh the cache).
+     */
+    async getNonce(from, fresh = false) {
+        const key = from.toLowerCase();
+        const cached = this.nonceCache.get(key);
+
+        if (!fresh && cached && Date.now() - cached.fetchedAt < this.nonceCacheTtlMs) {
+            return cached.nonce;
+        }
+
+        const nonce = await this.batchExecutor.getNonce(from);
+        this.nonceCache.set(key, { nonce, fetchedAt: Date.now() });
+        return nonce;
+    }
+
+    /**
+     * Fee for actions with the given `gas` limits, for GET /api/quote.
+     */
+    async quote(gasLimits) {
+        if (!this.fees) return { mode: "sponsored" };
+        return this.fees.quote(gasLimits.map(gas => BigInt(gas)));
+    }
+
+    /**
+     * Simulate unsigned requests before the user signs them, for
+     * POST /api/estimate.
+     *
+     * Each request is run as BatchExecutor would run it — an eth_call from
+     * the BatchExecutor to `to` with the sender appended to the calldata —
+     * independently, against current state. Returns per-request gas and
+     * predicted success, the cost of sending them as one batch at current
+     * fees, and how much GasSponsor would pay back.
+     */
+    async estimate(requests) {
+        const results = [];
+
+        for (const request of requests) {
+            const gasLimit = BigInt(request.gas);
+
+            // Refused by policy: no point simulating it
+            const policyError = this.policy ? this.policy.check(request) : null;
+            if (policyError) {
+                results.push({
+                    gas: null,
+                    directGas: null,
+                    gasLimit: gasLimit.toString(),
+                    success: false,
+                    error: policyError
+                });
+                continue;
+            }
+
+            const tx = {
+                from: this.batchExecutorAddress,
+                to: request.to,
+                data: ethers.concat([request.data, request.from]),
+                value: BigInt(request.value || 0)
+            };
+
+            try {
+                // What it would cost on its own, and what the inner call uses
+                const directGas = await this.provider.estimateGas(tx);
+                const gas = directGas - intrinsicGas(tx.data);
+                const fits = gas <= gasLimit;
+
+                results.push({
+                    gas: gas.toString(),
+                    directGas: directGas.toString(),
+                    gasLimit: gasLimit.toString(),
+                    success: fits,
+                    error: fits ? null : `Needs ~${gas} gas but the gas limit is ${gasLimit}`
+                });
+            } catch (error) {
+                results.push({
+                    gas: null,
+                    directGas: null,
+                    gasLimit: gasLimit.toString(),
+                    success: false,
+                    error: revertReason(error)
+                });
+            }
+        }
+
+        // Reverting calls still burn gas in the batch, up to their limit
+        let batchGas = this.packer.baseOverhead;
+        for (const result of results) {
+            batchGas += BigInt(result.success ? result.gas : result.gasLimit) + this.packer.entryOverhead;
+        }
+
+        const fees = await this.feeSource.getFees();
+        const gasPrice = fees.baseFee + fees.priorityFee;
+        const cost = batchGas * gasPrice;
+
+        let sponsor = null;
+        if (this.gasSponsor && !this.fees) {
+            // Each sender is charged for their own requests' gas
+            const shares = new Map();
+            requests.forEach((request, i) => {
+                const user = ethers.getAddress(request.from);
+                const gas = BigInt(results[i].success ? results[i].gas : results[i].gasLimit);
+                shares.set(user, (shares.get(user) || 0n) + gas + this.packer.entryOverhead);
+            });
+            const { users, amounts } = splitCost(cost, shares);
+            const wallet = this.wallets.pinnedWallet(users[0]) || this.wallets.wallets[0];
+            const [reimbursement, wouldSucceed] =
+                await this.gasSponsor.estimateReimbursement(wallet.address, users, amounts);
+
+            sponsor = {
+                reimbursement: reimbursement.toString(),
+                wouldSucceed,
+                coveragePercent: cost > 0n ? Number(reimbursement * 100n / cost) : 100
+            };
+        }
+
+        return {
+            requests: results,
+            batchGas: batchGas.toString(),
+            gasPrice: gasPrice.toString(),
+            cost: cost.toString(),
+            sponsor,
+            fee: this.fees ? await this.quote(requests.map(r => r.gas)) : null
+        };
+    }
+
+    /**
+     * Stable request ID: the EIP-712 digest the user signed.
+     * The same signed request always maps to the same ID.
+     *
+     * "Request" here and below is a ForwardRequest or a ForwardBatch;
+     * both have `from` and `nonce`, and a ForwardBatch moves through the
+     * queue as one entry.
+     */
+    async getRequestId(request) {
+        const domain = await this.getDomain();
+        return isForwardBatch(request) ? hashBatch(domain, request) : hashRequest(domain, request);
+    }
+
+    /**
+     * Current lifecycle of a request, for GET /api/relay/:id.
+     * Returns null if the ID is unknown.
+     */
+    async getRequestStatus(id) {
+        const record = await this.store.get(id);
+        if (!record) return null;
+
+        const position = this.queue.position(id);
+
+        return {
+            id: record.id,
+            status: record.status,
+            from: record.request.from,
+            nonce: record.request.nonce.toString(),
+            queuePosition: position,
+            txHash: record.txHash || null,
+            relayer: record.relayer || null,
+            blockNumber: record.blockNumber ?? null,
+            success: record.success ?? null,
+            gasUsed: record.gasUsed ?? null,
+            error: record.error || null,
+            createdAt: record.createdAt,
+            deadline: record.deadline || null,
+            submittedAt: record.submittedAt || null,
+            confirmedAt: record.confirmedAt || null
+        };
+    }
+
+    /**
+     * Mark records as confirmed and record each one's `success` flag from
+     * the RequestExecuted events in the batch receipt. A ForwardBatch
+     * emits one event per call under the same nonce; it succeeded only
+     * if all of them did.
+     *
+     * Each record's `gasUsed` is what its calls used (from the same
+     * events) plus an equal part of the rest of the transaction's gas
+     * (base cost, calldata, signature checks), so the records add up to
+     * receipt.gasUsed. GasSponsor claims are split by it.
+     */
+    async applyReceipt(records, receipt) {
+        const results = new Map();
+        const callGas = new Map();
+        let measured = 0n;
+        for (const entry of receipt.logs) {
+            let parsed;
+            try {
+                parsed = this.batchExecutor.interface.parseLog(entry);
+            } catch (e) {
+                continue;
+            }
+            if (parsed && parsed.name === "RequestExecuted") {
+                const key = `${parsed.args.from.toLowerCase()}:${parsed.args.nonce}`;
+                results.set(key, (results.get(key) ?? true) && parsed.args.success);
+                callGas.set(key, (callGas.get(key) || 0n) + parsed.args.gasUsed);
+                measured += parsed.args.gasUsed;
+            }
+        }
+
+        const count = BigInt(records.length);
+        const overhead = receipt.gasUsed > measured ? receipt.gasUsed - measured : 0n;
+
+        this.emit("batch.confirmed", {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            requestIds: records.map(r => r.id),
+            senders: uniqueSenders(records)
+        });
+
+        for (const [i, record] of records.entries()) {
+            // These senders' nonces just moved on
+            this.nonceCache.delete(record.request.from.toLowerCase());
+
+            const key = `${record.request.from.toLowerCase()}:${BigInt(record.request.nonce)}`;
+            const success = results.has(key) ? results.get(key) : null;
+
+            // The first records take the remainder, a few gas each
+            record.gasUsed = (callGas.get(key) || 0n) + overhead / count +
+                (BigInt(i) < overhead % count ? 1n : 0n);
+
+            await this.store.update(record.id, {
+                status: REQUEST_STATUS.CONFIRMED,
+                blockNumber: receipt.blockNumber,
+                success,
+                gasUsed: record.gasUsed.toString(),
+                confirmedAt: Date.now()
+            });
+
+            this.emit("request.executed", {
+                id: record.id,
+                from: record.request.from,
+                nonce: record.request.nonce.toString(),
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                success,
+                gasUsed: record.gasUsed.toString()
+            });
+        }
+    }
+
+    /**
+     * Load the persisted queue, reconcile anything that was in flight
+     * when the process stopped, then start auto-flushing.
+     */
+    async start() {
+        await this.getDomain();
+        await this.ledger.load();
+        await this.wallets.refreshBalances();
+        await this.recover();
+        this.startAutoFlush();
+    }
+
+    /**
+     * Replay the store on startup.
+     *
+     * - "queued" records go straight back into the queue.
+     * - "submitted" records are checked against the chain first: if their
+     *   batch transaction was mined they are confirmed, if their nonce was
+     *   consumed some other way they fail, otherwise they are re-queued.
+     */
+    async recover() {
+        const records = await this.store.load();
+
+        const queued = records.filter(r => r.status === REQUEST_STATUS.QUEUED);
+        const submitted = records.filter(r => r.status === REQUEST_STATUS.SUBMITTED);
+
+        // Group in-flight records by the batch transaction they went out in
+        const byTx = new Map();
+        for (const record of submitted) {
+            const key = record.txHash || "";
+            if (!byTx.has(key)) byTx.set(key, []);
+            byTx.get(key).push(record);
+        }
+
+        const requeued = [];
+        for (const [txHash, group] of byTx) {
+            const wallet = this.wallets.get(group[0].relayer) || this.wallets.wallets[0];
+            requeued.push(...await this.reconcileSubmitted(txHash, group, wallet));
+        }
+
+        // Senders go back to the wallet they were last submitted from
+        for (const record of [...queued, ...requeued]) {
+            this.queue.add(record);
+            this.wallets.assign(record.request.from, record.relayer);
+            if (this.budget) this.budget.reserve(record);
+        }
+
+        console.log(
+            `Recovered ${this.queue.size} queued requests ` +
+            `(${submitted.length} were in flight, ${requeued.length} re-queued)`
+        );
+    }
+
+    /**
+     * Decide what happened to a group of records that share one batch tx,
+     * sent by `wallet`. Returns the records that should go back into the queue.
+     */
+    async reconcileSubmitted(txHash, records, wallet) {
+        let receipt = null;
+
+        // The batch may have been replaced (fee bumps, cancel): any of its
+        // hashes could be the one that was mined
+        const hashes = records[0].txHashes || (txHash ? [txHash] : []);
+        const attempts = hashes.map(hash => ({ hash }));
+
+        if (attempts.length > 0) {
+            receipt = await wallet.txManager.waitForAny(attempts, 0);
+
+            // Still in the mempool — give it a chance to land before deciding
+            if (!receipt && await this.provider.getTransaction(txHash)) {
+                console.log(`Waiting for in-flight batch ${txHash}...`);
+                receipt = await wallet.txManager.waitForAny(attempts, this.recoveryTimeoutMs);
+                if (!receipt) console.warn(`Batch ${txHash} still pending`);
+            }
+        }
+
+        // A mined cancel (self-transfer) means the batch never executed
+        const executed = receipt && receipt.status === 1
+            && receipt.to.toLowerCase() === this.batchExecutorAddress.toLowerCase();
+
+        if (executed) {
+            await this.applyReceipt(records, receipt);
+            if (this.budget) this.budget.settle(records);
+            return [];
+        }
+
+        // Not mined (dropped, reverted or never sent): only re-queue
+        // requests whose nonce is still the one the contract expects
+        const requeue = [];
+        for (const record of records) {
+            const nonce = await this.getNonce(record.request.from, true);
+
+            if (nonce > BigInt(record.request.nonce)) {
+                await this.store.update(record.id, {
+                    status: REQUEST_STATUS.FAILED,
+                    error: "Nonce already used outside this batch"
+                });
+                if (this.budget) this.budget.release(record);
+            } else {
+                await this.store.update(record.id, {
+                    status: REQUEST_STATUS.QUEUED,
+                    txHash: null,
+                    txHashes: null
+                });
+                record.status = REQUEST_STATUS.QUEUED;
+                record.txHash = null;
+                requeue.push(record);
+            }
+        }
+        return requeue;
     }
 
     /**
      * Add a signed request to the queue.
      * Called when the frontend sends a signed request via API.
+     * Returns the request ID used by getRequestStatus().
+     *
+     * @param options - { deadline } — ms timestamp the request should be
+     *                  submitted by; the scheduler flushes ahead of it
+     *                  even if gas is expensive, but not in a batch
+     *                  GasSponsor wouldn't pay back: then the request
+     *                  fails at its deadline. A signed validUntil sets
+     *                  the deadline too, if it is earlier.
      */
-    async addRequest(request, signature) {
-        // Verify the signature before accepting it
-        const isValid = await this.batchExecutor.verify(request, signature);
+    async addRequest(request, signature, options = {}) {
+        const id = await this.getRequestId(request);
+
+        // Resubmitting the same signed request is a no-op
+        const existing = await this.store.get(id);
+        if (existing && existing.status !== REQUEST_STATUS.FAILED) {
+            return { id, status: existing.status, queueSize: this.queue.size };
+        }
+
+        if (this.queue.sizeOf(request.from) >= this.maxPendingPerSender) {
+            throw new RequestRejectedError(
+                `${request.from} already has ${this.maxPendingPerSender} requests queued`, 429
+            );
+        }
+
+        // A request too big for any batch would sit in the queue forever
+        const sizeError = this.packer.check(request);
+        if (sizeError) {
+            throw new RequestRejectedError(sizeError);
+        }
+
+        // Likewise one past (or about to pass) its signed validUntil
+        const expiryError = this.scheduler.expiryError(request);
+        if (expiryError) {
+            throw new RequestRejectedError(expiryError);
+        }
+
+        // Only calls the operator agreed to sponsor
+        const policyError = this.policy ? this.policy.check(request) : null;
+        if (policyError) {
+            throw new RequestRejectedError(policyError, 403);
+        }
+
+        // Verify the signature locally; verify() on-chain would reject
+        // every nonce past the current one
+        if (!(await this.isSignedBySender(request, signature))) {
+            throw new RequestRejectedError("Invalid signature");
+        }
+
+        // Counted only once the sender is known to have signed, so nobody
+        // can use up another sender's allowance
+        const retryMs = this.senderLimiter.take(request.from);
+        if (retryMs > 0) {
+            throw new RequestRejectedError(`Too many requests from ${request.from}`, 429, retryMs);
+        }
+
+        // Signed with a session key: the grant must still allow it
+        const sessionError = await this.checkSession(request, signature);
+        if (sessionError) {
+            throw new RequestRejectedError(sessionError, 403);
+        }
+
+        // Accept future nonces within the pool's window. A cached nonce can
+        // only lag behind the chain, so "too far ahead" is re-checked fresh.
+        let onchainNonce = await this.getNonce(request.from);
+        if (BigInt(request.nonce) >= onchainNonce + this.queue.nonceWindow) {
+            onchainNonce = await this.getNonce(request.from, true);
+        }
+        const nonceError = this.queue.checkNonce(request.from, request.nonce, onchainNonce);
+        if (nonceError) {
+            throw new RequestRejectedError(nonceError, 409);
+        }
 
-        if (!isValid) {
-            throw new Error("Invalid signature or nonce");
+        // Reserve the request's worst-case cost against the sender's
+        // sponsor budget. In token fee mode the fee leg pays instead.
+        let sponsorship = {};
+        if (this.budget && this.budgetMode !== "off" && !this.fees) {
+            const { cost, reason } = await this.budget.check(request);
+            if (!reason) {
+                sponsorship = { sponsored: true, sponsorCost: cost.toString() };
+            } else if (this.budgetMode === "reject") {
+                throw new RequestRejectedError(reason, 429, this.budget.msUntilReset());
+            } else {
+                console.log(`${reason}; queueing ${request.from} (nonce: ${request.nonce}) unsponsored`);
+                sponsorship = {
+                    sponsored: false,
+                    deprioritized: this.budgetMode === "deprioritize",
+                    sponsorNote: reason
+                };
+            }
         }
 
-        this.pendingRequests.push(request);
-        this.pendingSignatures.push(signature);
+        // Flush ahead of the client's deadline or the signed expiry,
+        // whichever comes first
+        const deadlines = [options.deadline, Number(request.validUntil || 0) * 1000].filter(t => t > 0);
+
+        // Persist before acknowledging so the request survives a restart
+        const record = await this.store.put({
+            id,
+            request,
+            signature,
+            status: REQUEST_STATUS.QUEUED,
+            createdAt: Date.now(),
+            deadline: deadlines.length > 0 ? Math.min(...deadlines) : null,
+            ...sponsorship
+        });
+        this.queue.add(record);
+        if (this.budget) this.budget.reserve(record);
+        const wallet = this.wallets.assign(request.from);
 
         console.log(`Request queued from ${request.from} (nonce: ${request.nonce})`);
-        console.log(`Queue size: ${this.pendingRequests.length}`);
+        console.log(`Queue size: ${this.queue.size}`);
+
+        this.emit("request.queued", {
+            id,
+            from: request.from,
+            nonce: request.nonce.toString(),
+            queueSize: this.queue.size
+        });
+
+        // If this wallet has a full batch waiting, flush it immediately
+        if (this.pendingFor(wallet) >= this.maxBatchSize) {
+            const batches = await this.flushWallet(wallet);
+            return { id, status: record.status, queueSize: this.queue.size, sponsored: record.sponsored, batches };
+        }
+
+        return { id, status: "queued", queueSize: this.queue.size, sponsored: record.sponsored };
+    }
+
+    /**
+     * Recover the EIP-712 signer offline and compare it with request.from.
+     * For a session signature (sdk/sessions.js), request.from must have
+     * signed the grant and the grant's session key the request.
+     */
+    async isSignedBySender(request, signature) {
+        try {
+            const domain = await this.getDomain();
+            const session = decodeSessionSignature(signature);
+
+            if (session) {
+                if (isForwardBatch(request)) return false;
+                const owner = recoverGrantSigner(domain, session.grant, session.grantSignature);
+                const key = recoverSigner(domain, request, session.sessionSignature);
+                return owner.toLowerCase() === request.from.toLowerCase()
+                    && key.toLowerCase() === session.grant.sessionKey.toLowerCase();
+            }
+
+            const signer = isForwardBatch(request)
+                ? recoverBatchSigner(domain, request, signature)
+                : recoverSigner(domain, request, signature);
+            return signer.toLowerCase() === request.from.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Why a session-signed request can't be accepted, or null if it can
+     * (or isn't session-signed). Scope and expiry are checked offline;
+     * revocation and the spend used so far are read from the contract.
+     * Spend of other queued requests under the same grant isn't counted
+     * here; the simulation evicts whatever goes over the limit.
+     */
+    async checkSession(request, signature) {
+        const session = decodeSessionSignature(signature);
+        if (!session) return null;
+
+        const scopeError = checkSessionScope(session.grant, request);
+        if (scopeError) return scopeError;
+
+        const grantId = hashSessionGrant(await this.getDomain(), session.grant);
+        if (await this.batchExecutor.revokedSessions(session.grant.owner, grantId)) {
+            return "Session revoked";
+        }
 
-        // If queue is full, flush immediately
-        if (this.pendingRequests.length >= this.maxBatchSize) {
-            return await this.flushBatch();
+        const spent = await this.batchExecutor.sessionSpent(grantId);
+        if (spent + spendOf(request.data) > BigInt(session.grant.spendLimit)) {
+            return `Session spend limit reached (${spent} of ${session.grant.spendLimit} used)`;
         }
+        return null;
+    }
+
+    /**
+     * Current on-chain nonce of every pending sender pinned to `wallet`,
+     * read fresh since the batch is about to be built from them.
+     * Returns Map(lowercase sender => nonce).
+     */
+    async fetchSenderNonces(wallet) {
+        const nonces = new Map();
+        for (const from of this.queue.senderAddresses()) {
+            if (this.wallets.pinnedWallet(from) !== wallet) continue;
+            nonces.set(from.toLowerCase(), await this.getNonce(from, true));
+        }
+        return nonces;
+    }
+
+    /**
+     * Number of queued requests from senders pinned to `wallet`.
+     */
+    pendingFor(wallet) {
+        let total = 0;
+        for (const sender of wallet.senders) total += this.queue.sizeOf(sender);
+        return total;
+    }
 
-        return { status: "queued", queueSize: this.pendingRequests.length };
+    /**
+     * Unpin senders with nothing queued, so they can be rebalanced onto
+     * another wallet next time. Senders of a batch still in flight stay.
+     */
+    releaseIdleSenders(wallet) {
+        if (wallet.busy) return;
+        for (const sender of [...wallet.senders]) {
+            if (this.queue.sizeOf(sender) === 0) this.wallets.unpin(sender);
+        }
     }
 
     /**
-     * Submit all queued requests as one batch transaction.
-     * This is where the gas savings happen!
+     * Submit from every idle wallet that has work, concurrently.
+     * Returns the results of the batches that were attempted (failed
+     * batches are logged and re-queued by submitBatch).
      */
     async flushBatch() {
-        if (this.pendingRequests.length === 0) {
+        if (this.queue.size === 0) {
             console.log("No pending requests to flush.");
             return null;
         }
 
-        const requests = [...this.pendingRequests];
-        const signatures = [...this.pendingSignatures];
+        const ready = this.wallets.idle().filter(wallet => this.pendingFor(wallet) > 0);
+        const settled = await Promise.allSettled(ready.map(wallet => this.flushWallet(wallet)));
+
+        return settled
+            .filter(outcome => outcome.status === "fulfilled" && outcome.value)
+            .flatMap(outcome => outcome.value);
+    }
+
+    /**
+     * Submit the queued requests of the senders pinned to `wallet` as
+     * batch transactions from that wallet. This is where the gas savings happen!
+     *
+     * A queue bigger than one batch (by count or gas budget) goes out as
+     * several batches, one after another. A wallet only has one batch in
+     * flight at a time; calling this while it is busy returns null.
+     * Returns the batch results, or null if nothing was attempted.
+     */
+    async flushWallet(wallet) {
+        if (wallet.busy) return null;
+
+        const results = [];
+        wallet.inFlight++;
+        try {
+            let result;
+            do {
+                result = await this.submitBatch(wallet);
+                if (result) results.push(result);
+            } while (result && result.status === "executed" && result.more);
+        } finally {
+            wallet.inFlight--;
+            this.releaseIdleSenders(wallet);
+        }
+
+        return results.length > 0 ? results : null;
+    }
+
+    async submitBatch(wallet) {
+        // Take each sender's contiguous run of nonces; gapped requests stay
+        const onchainNonces = await this.fetchSenderNonces(wallet);
+        if (onchainNonces.size === 0) return null;
+
+        const { batch: taken, stale, expired, limited } =
+            this.queue.take(this.maxBatchSize, onchainNonces, Date.now(), this.packer, !!this.fees);
+        let candidates = taken;
+
+        const dropped = [];
+        for (const record of stale) {
+            const reason = `Stale nonce ${record.request.nonce} (already used on-chain)`;
+            await this.evict(record, reason);
+            dropped.push({ id: record.id, reason });
+        }
+        for (const { record, missingNonce } of expired) {
+            const reason = `Expired waiting for nonce ${missingNonce}`;
+            await this.evict(record, reason);
+            dropped.push({ id: record.id, reason });
+        }
+
+        // Signed validity windows: drop what has expired, hold back what
+        // isn't valid yet (and the same senders' later nonces)
+        const timing = this.scheduler.checkValidity(candidates);
+        this.queue.addAll(timing.waiting);
+        for (const { record, reason } of timing.expired) {
+            await this.evict(record, reason);
+            dropped.push({ id: record.id, reason });
+        }
+        candidates = timing.ready;
+
+        // Token fee mode: only bundles whose fee leg pays for them go out
+        if (this.fees && candidates.length > 0) {
+            let review;
+            try {
+                review = await this.fees.review(candidates);
+            } catch (error) {
+                console.error("Fee check failed:", error.message);
+                this.queue.addAll(candidates);
+                throw error;
+            }
+
+            this.queue.addAll(review.waiting);
+            for (const { record, reason } of review.refused) {
+                await this.evict(record, reason);
+                dropped.push({ id: record.id, reason });
+            }
+            candidates = review.accepted;
+        }
+
+        if (candidates.length === 0) {
+            console.log("No requests ready (waiting for missing nonces).");
+            return dropped.length > 0 ? { status: "evicted", batchSize: 0, evicted: dropped } : null;
+        }
+
+        // Cheap gate first: deadlines, batch size, base fee
+        const decision = await this.scheduler.shouldFlush(candidates);
+        if (!decision.flush) {
+            console.log(`Deferring batch from ${wallet.address}: ${decision.reason}`);
+            this.queue.addAll(candidates);
+            return { status: "deferred", reason: decision.reason, batchSize: 0, evicted: dropped };
+        }
+
+        // Drop anything that would revert the whole batch
+        let batch, evicted;
+        try {
+            ({ batch, evicted } = await this.preflight(candidates, onchainNonces));
+            evicted = [...dropped, ...evicted];
+        } catch (error) {
+            // RPC trouble, not a bad request: keep whatever wasn't evicted
+            console.error("Pre-flight check failed:", error.message);
+            this.queue.addAll(candidates.filter(r => r.status === REQUEST_STATUS.QUEUED));
+            throw error;
+        }
 
-        // Clear the queue
-        this.pendingRequests = [];
-        this.pendingSignatures = [];
+        if (batch.length === 0) {
+            console.log("Every request in the batch was evicted.");
+            return { status: "evicted", batchSize: 0, evicted };
+        }
 
-        console.log(`\nSubmitting batch of ${requests.length} requests...`);
+        const ids = batch.map(r => r.id);
+        const requests = batch.map(r => r.request);
+        const signatures = batch.map(r => r.signature);
 
+        console.log(`\nSubmitting batch of ${requests.length} requests from ${wallet.address}...`);
+
+        let receipt;
         try {
             // Estimate gas first (so we know the cost)
-            const estimatedGas = await this.batchExecutor.executeBatch.estimateGas(
+            const estimatedGas = await this.executeMethod(batch).estimateGas(
                 requests,
-                signatures
+                signatures,
+                { from: wallet.address }
             );
 
             console.log(`Estimated gas: ${estimatedGas.toString()}`);
 
+            // Only send if the sponsor would pay (token fee mode doesn't
+            // claim; the fee legs pay). Deadlines don't override this: a
+            // request that can't wait any longer fails instead.
+            if (!this.fees) {
+                const coverage = await this.scheduler.checkReimbursement(
+                    estimatedGas, wallet.address, gasShares(batch, this.packer), decision.fees
+                );
+                if (!coverage.covered) {
+                    console.log(`Deferring batch from ${wallet.address}: ${coverage.reason}`);
+                    const now = Date.now();
+                    const waiting = [];
+                    for (const record of batch) {
+                        if (this.scheduler.isDue(record, now)) {
+                            const reason = `Deadline reached without a reimbursable batch: ${coverage.reason}`;
+                            await this.evict(record, reason);
+                            evicted.push({ id: record.id, reason });
+                        } else {
+                            waiting.push(record);
+                        }
+                    }
+                    this.queue.addAll(waiting);
+                    return { status: "deferred", reason: coverage.reason, batchSize: 0, evicted };
+                }
+            }
+
             // Submit the batch transaction
-            const tx = await this.batchExecutor.executeBatch(
+            const txRequest = await this.executeMethod(batch).populateTransaction(
                 requests,
-                signatures,
-                {
-                    gasLimit: estimatedGas * 120n / 100n  // 20% buffer
-                }
+                signatures
             );
+            txRequest.gasLimit = estimatedGas * 120n / 100n;  // 20% buffer
+
+            // Wait for confirmation; the TxManager bumps fees (same nonce)
+            // if it gets stuck, and every attempt's hash is recorded
+            ({ receipt } = await wallet.txManager.send(txRequest, async (attempt, attempts) => {
+                const txHashes = attempts.map(a => a.hash);
+                const changes = {
+                    status: REQUEST_STATUS.SUBMITTED,
+                    txHash: attempt.hash,
+                    txHashes,
+                    relayer: wallet.address
+                };
+                if (attempt.kind === "original") changes.submittedAt = Date.now();
+                await this.store.updateMany(ids, changes);
 
-            console.log(`Transaction submitted: ${tx.hash}`);
-
-            // Wait for confirmation
-            const receipt = await tx.wait();
-
-            console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-            console.log(`Actual gas used: ${receipt.gasUsed.toString()}`);
-
-            // Calculate cost - need to get gas price from the transaction
-            const txDetails = await this.provider.getTransaction(tx.hash);
-            const gasPrice = txDetails.gasPrice || tx.gasPrice;
-            
-            if (!gasPrice) {
-                console.warn("⚠️  Warning: Could not determine gas price, skipping reimbursement");
-                return {
-                    status: "executed",
-                    txHash: tx.hash,
-                    blockNumber: receipt.blockNumber,
-                    gasUsed: receipt.gasUsed.toString(),
-                    batchSize: requests.length,
-                    warning: "Gas price unavailable, reimbursement skipped"
+                const payload = {
+                    txHash: attempt.hash,
+                    relayer: wallet.address,
+                    requestIds: ids,
+                    senders: uniqueSenders(batch)
                 };
+                if (attempt.kind === "original") {
+                    console.log(`Transaction submitted: ${attempt.hash}`);
+                    this.emit("batch.submitted", payload);
+                } else {
+                    this.emit("batch.replaced", { ...payload, txHashes, kind: attempt.kind });
+                }
+            }));
+        } catch (error) {
+            console.error("Batch execution failed:", error.message);
+
+            // Even the cancel is still pending: the batch may yet be mined, so
+            // re-queueing now could execute it twice. Reconcile in the background,
+            // keeping the wallet busy since its nonce is still taken.
+            if (error instanceof TxNotMinedError && !error.cancelled) {
+                wallet.inFlight++;
+                this.reconcileSubmitted(error.hashes[error.hashes.length - 1], batch, wallet)
+                    .then(requeue => this.queue.addAll(requeue))
+                    .catch(err => console.error("Reconciling stuck batch failed:", err.message))
+                    .finally(() => {
+                        wallet.inFlight--;
+                        this.releaseIdleSenders(wallet);
+                    });
+
+                this.emit("batch.failed", {
+                    error: revertReason(error),
+                    requestIds: ids,
+                    senders: uniqueSenders(batch),
+                    retrying: []
+                });
+                throw error;
             }
-            
-            const gasCost = receipt.gasUsed * gasPrice;
-            console.log(`Gas cost: ${ethers.formatEther(gasCost)} ETH`);
 
-            // Optionally claim reimbursement from GasSponsor
-            if (this.gasSponsor) {
-                // Extract unique user addresses from the batch (deduplicate)
-                const users = [...new Set(requests.map(req => req.from))];
-                await this.claimReimbursement(gasCost, users);
+            // Put requests back in queue for retry, up to maxSubmitAttempts
+            const retry = [];
+            for (const record of batch) {
+                const attempts = (record.attempts || 0) + 1;
+                if (attempts >= this.maxSubmitAttempts) {
+                    await this.evict(record, `Submission failed ${attempts} times: ${revertReason(error)}`);
+                    evicted.push({ id: record.id, reason: record.error });
+                } else {
+                    await this.store.update(record.id, {
+                        status: REQUEST_STATUS.QUEUED,
+                        txHash: null,
+                        txHashes: null,
+                        attempts
+                    });
+                    retry.push(record);
+                }
             }
+            this.queue.addAll(retry);
+
+            this.emit("batch.failed", {
+                error: revertReason(error),
+                requestIds: ids,
+                senders: uniqueSenders(batch),
+                retrying: retry.map(r => r.id)
+            });
+            throw error;
+        }
+
+        // The batch is on-chain from here on; nothing below may re-queue it
+        await this.applyReceipt(batch, receipt);
+
+        console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+        console.log(`Actual gas used: ${receipt.gasUsed.toString()}`);
 
+        // Calculate cost - need to get gas price from the transaction
+        const txDetails = await this.provider.getTransaction(receipt.hash);
+        const gasPrice = receipt.gasPrice || (txDetails && txDetails.gasPrice);
+
+        if (!gasPrice) {
+            console.warn("⚠️  Warning: Could not determine gas price, skipping reimbursement");
+            if (this.budget) this.budget.settle(batch);
             return {
                 status: "executed",
-                txHash: tx.hash,
+                txHash: receipt.hash,
+                relayer: wallet.address,
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
-                batchSize: requests.length
+                batchSize: requests.length,
+                evicted,
+                more: limited,
+                warning: "Gas price unavailable, reimbursement skipped"
             };
-        } catch (error) {
-            console.error("Batch execution failed:", error.message);
-            // Put requests back in queue for retry
-            this.pendingRequests = [...requests, ...this.pendingRequests];
-            this.pendingSignatures = [...signatures, ...this.pendingSignatures];
-            throw error;
         }
+
+        const gasCost = receipt.gasUsed * gasPrice;
+        console.log(`Gas cost: ${ethers.formatEther(gasCost)} ETH`);
+
+        // Optionally claim reimbursement from GasSponsor. In token fee mode
+        // the fee legs already paid for the batch.
+        if (this.gasSponsor && !this.fees) {
+            await this.claimReimbursement(wallet, gasCost, batch, receipt.hash);
+            this.budget.settle(batch);
+        }
+
+        return {
+            status: "executed",
+            txHash: receipt.hash,
+            relayer: wallet.address,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            batchSize: requests.length,
+            evicted,
+            more: limited
+        };
     }
 
     /**
-     * Claim gas reimbursement from the GasSponsor contract.
+     * Re-check a batch right before submission.
+     *
+     * 1. Nonce check: each sender's requests must continue from their
+     *    current on-chain nonce, and the first one must pass verify().
+     * 2. Simulation: a staticCall of the batch on what is left. If it
+     *    reverts, bisect to the first failing entry, evict it and retry.
+     *
+     * Evicted records are marked failed with a reason; the rest are
+     * returned in their original order. `onchainNonces` (lowercase sender
+     * => nonce) saves refetching nonces that were just read.
      */
-    async claimReimbursement(gasCost, users) {
+    async preflight(records, onchainNonces = new Map()) {
+        const evicted = [];
+        const drop = async (record, reason) => {
+            await this.evict(record, reason);
+            evicted.push({ id: record.id, reason });
+        };
+
+        // ── Step 1: Re-verify against current chain state ──
+        const expectedNonce = new Map();
+        const blockedSenders = new Map();
+        let batch = [];
+
+        for (const record of records) {
+            const { request, signature } = record;
+            const sender = request.from.toLowerCase();
+
+            if (blockedSenders.has(sender)) {
+                await drop(record, `Blocked by evicted request at nonce ${blockedSenders.get(sender)}`);
+                continue;
+            }
+
+            const isFirst = !expectedNonce.has(sender);
+            if (isFirst) {
+                expectedNonce.set(sender, onchainNonces.has(sender)
+                    ? onchainNonces.get(sender)
+                    : await this.getNonce(request.from, true));
+            }
+
+            const expected = expectedNonce.get(sender);
+            const nonce = BigInt(request.nonce);
+
+            if (nonce < expected) {
+                await drop(record, `Stale nonce ${nonce} (on-chain nonce is ${expected})`);
+                continue;
+            }
+            if (nonce > expected) {
+                blockedSenders.set(sender, expected);
+                await drop(record, `Nonce gap: expected ${expected}, got ${nonce}`);
+                continue;
+            }
+
+            // Time has passed since the batch was taken; an expired
+            // request would revert the whole batch on-chain
+            const expiryError = this.scheduler.expiryError(request);
+            if (expiryError) {
+                blockedSenders.set(sender, nonce);
+                await drop(record, expiryError);
+                continue;
+            }
+
+            // The policy file may have changed since it was queued
+            const policyError = this.policy ? this.policy.check(request) : null;
+            if (policyError) {
+                blockedSenders.set(sender, nonce);
+                await drop(record, policyError);
+                continue;
+            }
+
+            // verify() checks nonces[from], so it only applies to the
+            // sender's first request; the simulation covers the rest
+            if (isFirst && !(await this.verifyEntry(request, signature))) {
+                blockedSenders.set(sender, nonce);
+                await drop(record, "Invalid signature");
+                continue;
+            }
+
+            expectedNonce.set(sender, expected + 1n);
+            batch.push(record);
+        }
+
+        // ── Step 2: Simulate and bisect until the batch goes through ──
+        while (batch.length > 0) {
+            const failure = await this.simulate(batch);
+            if (!failure) break;
+
+            const index = await this.findFirstFailure(batch);
+            const bad = batch[index];
+            const sender = bad.request.from.toLowerCase();
+
+            await drop(bad, `Simulation reverted: ${failure}`);
+
+            // Later requests from the same sender can't execute without it
+            const rest = [];
+            for (const record of batch.slice(index + 1)) {
+                if (record.request.from.toLowerCase() === sender) {
+                    await drop(record, `Blocked by evicted request at nonce ${bad.request.nonce}`);
+                } else {
+                    rest.push(record);
+                }
+            }
+            batch = [...batch.slice(0, index), ...rest];
+        }
+
+        if (evicted.length > 0) {
+            console.warn(`Evicted ${evicted.length} request(s) before submission`);
+        }
+
+        return { batch, evicted };
+    }
+
+    /**
+     * On-chain verify() or verifyBatch(), by the kind of request.
+     */
+    async verifyEntry(request, signature) {
+        return isForwardBatch(request)
+            ? this.batchExecutor.verifyBatch(request, signature)
+            : this.batchExecutor.verify(request, signature);
+    }
+
+    /**
+     * The contract method that executes these records: executeSignedBatches
+     * for ForwardBatches, executeBatch for ForwardRequests. The packer
+     * never puts both kinds in one batch.
+     */
+    executeMethod(records) {
+        return isForwardBatch(records[0].request)
+            ? this.batchExecutor.executeSignedBatches
+            : this.batchExecutor.executeBatch;
+    }
+
+    /**
+     * Dry-run the batch. Returns null on success or the revert reason.
+     * Anything other than a revert (RPC errors) is thrown, so a flaky node
+     * can't get good requests evicted.
+     */
+    async simulate(records) {
         try {
-            const poolBalance = await this.gasSponsor.getBalance();
-            console.log(`GasSponsor pool balance: ${ethers.formatEther(poolBalance)} ETH`);
+            await this.executeMethod(records).staticCall(
+                records.map(r => r.request),
+                records.map(r => r.signature)
+            );
+            return null;
+        } catch (error) {
+            if (error.code !== "CALL_EXCEPTION") throw error;
+            return revertReason(error);
+        }
+    }
 
-            if (poolBalance >= gasCost) {
-                const claimTx = await this.gasSponsor.claim(gasCost, users);
-                await claimTx.wait();
-                console.log(`Reimbursed: ${ethers.formatEther(gasCost)} ETH`);
+    /**
+     * Binary search for the shortest failing prefix. A batch reverts
+     * as a whole, so if a prefix fails every longer prefix fails too; the
+     * last entry of the shortest failing prefix is the culprit.
+     */
+    async findFirstFailure(records) {
+        let lo = 0;                   // prefix of length lo succeeds
+        let hi = records.length;      // prefix of length hi fails
+
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (await this.simulate(records.slice(0, mid))) {
+                hi = mid;
             } else {
-                console.log("Insufficient sponsor funds, skipping reimbursement");
+                lo = mid;
             }
+        }
+
+        return hi - 1;
+    }
+
+    /**
+     * Remove a request from circulation and record why.
+     */
+    async evict(record, reason) {
+        console.warn(`Evicting ${record.id}: ${reason}`);
+        if (this.budget) this.budget.release(record);
+        await this.store.update(record.id, {
+            status: REQUEST_STATUS.FAILED,
+            error: reason
+        });
+
+        this.emit("request.failed", {
+            id: record.id,
+            from: record.request.from,
+            nonce: record.request.nonce.toString(),
+            reason
+        });
+    }
+
+    /**
+     * Claim gas reimbursement from the GasSponsor contract for `wallet`
+     * (each relayer wallet must be whitelisted with setRelayer).
+     *
+     * Each sender is claimed for their own part of `gasCost`, by the gas
+     * their requests used (see applyReceipt and SponsorBudget.planClaim);
+     * senders who can't be sponsored are left out, so they don't make
+     * the contract revert the whole claim. The paid amounts go in the
+     * ledger.
+     */
+    async claimReimbursement(wallet, gasCost, records, batchTxHash = null) {
+        const senders = uniqueSenders(records);
+        const fail = (error) => {
+            console.error("Reimbursement failed:", error);
+            this.emit("reimbursement.failed", { batchTxHash, error, senders });
+        };
+
+        let plan;
+        let receipt;
+        try {
+            plan = await this.budget.planClaim(records, gasCost, wallet.address);
+            for (const { user, reason } of plan.excluded) {
+                console.log(`Not claiming for ${user}: ${reason}`);
+            }
+            if (plan.amount === 0n) {
+                const everyone = new Set(records.map(r => r.request.from.toLowerCase())).size;
+                return fail(plan.excluded.length === everyone
+                    ? "No sender in the batch can be sponsored"
+                    : "GasSponsor has nothing left to pay out today");
+            }
+
+            const users = plan.shares.map(share => share.user);
+            const amounts = plan.shares.map(share => share.amount);
+            const [, wouldSucceed] =
+                await this.gasSponsor.estimateReimbursement(wallet.address, users, amounts);
+            if (!wouldSucceed) {
+                return fail("GasSponsor would reject the claim");
+            }
+
+            ({ receipt } = await wallet.txManager.send(
+                await this.gasSponsor.claim.populateTransaction(users, amounts)
+            ));
+        } catch (error) {
+            return fail(error.message);
+        }
+
+        // What the contract paid each user, per its Claimed event
+        const paid = new Map(plan.shares.map(share => [share.user, share.amount]));
+        let amount = plan.amount;
+        for (const log of receipt.logs) {
+            let parsed;
+            try {
+                parsed = this.gasSponsor.interface.parseLog(log);
+            } catch (e) {
+                continue;
+            }
+            if (parsed && parsed.name === "Claimed") {
+                amount = parsed.args.amount;
+                parsed.args.users.forEach((user, i) => paid.set(user, parsed.args.amounts[i]));
+            }
+        }
+        console.log(`Reimbursed: ${ethers.formatEther(amount)} of ${ethers.formatEther(gasCost)} ETH`);
+
+        const shares = plan.shares.map(share => ({
+            user: share.user,
+            gas: share.gas,
+            cost: share.cost,
+            amount: paid.get(share.user),
+            requestIds: records
+                .filter(record => ethers.getAddress(record.request.from) === share.user)
+                .map(record => record.id)
+        }));
+
+        try {
+            await this.ledger.record({
+                claimTxHash: receipt.hash,
+                batchTxHash,
+                blockNumber: receipt.blockNumber,
+                relayer: wallet.address,
+                gasCost,
+                amount,
+                claimedAt: Date.now(),
+                shares,
+                unsponsored: plan.excluded
+            });
         } catch (error) {
-            console.error("Reimbursement failed:", error.message);
+            // The claim stands; reconcileLedger() will report it missing
+            console.error(`Ledger entry for claim ${receipt.hash} not written:`, error.message);
         }
+
+        this.emit("reimbursement.claimed", {
+            txHash: receipt.hash,
+            batchTxHash,
+            amount: amount.toString(),
+            senders: shares.map(share => share.user),
+            amounts: shares.map(share => share.amount.toString()),
+            unsponsored: plan.excluded.map(({ user }) => user)
+        });
+    }
+
+    /**
+     * Check the ledger against the Claimed events of this relayer's
+     * wallets. Defaults to everything from the first ledger entry to the
+     * latest block. See SponsorLedger.reconcile for the result.
+     *
+     * @param range - { fromBlock, toBlock }
+     */
+    async reconcileLedger(range = {}) {
+        if (!this.gasSponsor) throw new Error("No GasSponsor configured");
+
+        const toBlock = range.toBlock ?? await this.provider.getBlockNumber();
+        const fromBlock = range.fromBlock ??
+            Math.min(toBlock, ...this.ledger.entries.map(entry => entry.blockNumber));
+
+        // RPC providers cap the block range of a log query
+        const events = [];
+        for (const wallet of this.wallets.wallets) {
+            const filter = this.gasSponsor.filters.Claimed(wallet.address);
+            for (let start = fromBlock; start <= toBlock; start += LOG_QUERY_BLOCKS) {
+                const end = Math.min(start + LOG_QUERY_BLOCKS - 1, toBlock);
+                for (const log of await this.gasSponsor.queryFilter(filter, start, end)) {
+                    events.push({
+                        txHash: log.transactionHash,
+                        blockNumber: log.blockNumber,
+                        relayer: log.args.relayer,
+                        amount: log.args.amount,
+                        users: [...log.args.users],
+                        amounts: [...log.args.amounts]
+                    });
+                }
+            }
+        }
+
+        return this.ledger.reconcile(events, { fromBlock, toBlock });
     }
 
     /**
@@ -187,20 +1451,47 @@ class Relayer {
     startAutoFlush() {
         console.log(`Relayer started. Flushing every ${this.batchIntervalMs / 1000}s`);
         console.log(`Max batch size: ${this.maxBatchSize}`);
+        console.log(`Relayer wallets: ${this.wallets.size} (${this.wallets.strategy})`);
 
+        // Each tick flushes every idle wallet; busy wallets are skipped
+        // until their batch confirms, so batches overlap across wallets
         this.interval = setInterval(async () => {
-            if (this.pendingRequests.length > 0) {
-                await this.flushBatch();
+            if (this.queue.size > 0) {
+                try {
+                    await this.flushBatch();
+                } catch (error) {
+                    // Already logged and re-queued by flushWallet
+                }
             }
         }, this.batchIntervalMs);
+
+        this.balanceInterval = setInterval(async () => {
+            try {
+                await this.wallets.refreshBalances();
+            } catch (error) {
+                console.error("Balance check failed:", error.message);
+            }
+        }, this.balanceCheckMs);
+
+        // Finished records past the store's retention window
+        this.pruneInterval = setInterval(async () => {
+            try {
+                const pruned = await this.store.prune();
+                if (pruned > 0) console.log(`Pruned ${pruned} finished request(s) from the store`);
+            } catch (error) {
+                console.error("Pruning the request store failed:", error.message);
+            }
+        }, this.pruneIntervalMs);
     }
 
     /**
-     * Stop the auto-flush interval.
+     * Stop the auto-flush, balance-check and prune intervals.
      */
     stop() {
         if (this.interval) {
             clearInterval(this.interval);
+            clearInterval(this.balanceInterval);
+            clearInterval(this.pruneInterval);
             console.log("Relayer stopped.");
         }
     }
@@ -227,4 +1518,4 @@ Mode 3: Relayer-Only (no user subsidy)
   No GasSponsor deployed at all.
 */
 
-export { Relayer };
\ No newline at end of file
+export { Relayer, RequestRejectedError, RELAY_EVENTS };
\ No newline at end of file
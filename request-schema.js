@@ -0,0 +1,178 @@
+// request-schema.js
+// Shape checks for POST /api/relay and POST /api/estimate bodies.
+//
+// Runs before anything touches the RPC or the request store: every field
+// of the signed type must be present and well-formed, and nothing else may
+// be, since the request is persisted as received.
+
+import { ethers } from "ethers";
+import { decodeSessionSignature } from "./sdk/index.js";
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+const BODY_FIELDS = ["request", "batch", "signature", "deadline"];
+const REQUEST_FIELDS = ["from", "to", "value", "gas", "nonce", "data", "validAfter", "validUntil"];
+const BATCH_FIELDS = ["from", "calls", "nonce", "validAfter", "validUntil"];
+const CALL_FIELDS = ["to", "value", "gas", "data"];
+
+/**
+ * Why a uint256 field is malformed, or null. Accepts a decimal string or
+ * a non-negative safe integer (what serializeRequest() produces).
+ */
+function uintError(name, value) {
+    const ok = typeof value === "string"
+        ? /^\d{1,78}$/.test(value) && BigInt(value) <= MAX_UINT256
+        : Number.isSafeInteger(value) && value >= 0;
+    return ok ? null : `'${name}' must be a uint256 (decimal string or integer)`;
+}
+
+/**
+ * Why an address field is malformed, or null. Mixed-case addresses must
+ * carry a valid EIP-55 checksum.
+ */
+function addressError(name, value) {
+    return typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value) && ethers.isAddress(value)
+        ? null
+        : `'${name}' must be an address with a valid checksum`;
+}
+
+function fieldsError(name, object, fields) {
+    if (!object || typeof object !== "object" || Array.isArray(object)) {
+        return `'${name}' must be an object`;
+    }
+    const missing = fields.find(field => object[field] === undefined);
+    if (missing) return `'${name}' is missing '${missing}'`;
+    const unknown = Object.keys(object).find(field => !fields.includes(field));
+    if (unknown) return `'${name}' has unknown field '${unknown}'`;
+    return null;
+}
+
+/**
+ * Why a call (a ForwardRequest, or one call of a ForwardBatch) is
+ * malformed, or null.
+ */
+function callError(name, call) {
+    return addressError(`${name}.to`, call.to)
+        || uintError(`${name}.value`, call.value)
+        || uintError(`${name}.gas`, call.gas)
+        || (typeof call.data === "string" && ethers.isHexString(call.data, true)
+            ? null
+            : `'${name}.data' must be 0x-prefixed hex bytes`);
+}
+
+/**
+ * Why a signature is malformed, or null: 65 bytes, or for a ForwardRequest
+ * also a session signature (see sdk/sessions.js).
+ */
+function signatureError(signature, isBatch) {
+    if (typeof signature !== "string" || !ethers.isHexString(signature, true)) {
+        return "'signature' must be 0x-prefixed hex bytes";
+    }
+    if (ethers.dataLength(signature) === 65) return null;
+    if (isBatch) return "A ForwardBatch 'signature' must be 65 bytes";
+
+    try {
+        decodeSessionSignature(signature);
+        return null;
+    } catch (e) {
+        return "'signature' must be 65 bytes or a session signature";
+    }
+}
+
+/**
+ * Why a /api/relay body is malformed, or null if it is well-formed.
+ * Whether the signature is valid is up to Relayer.addRequest().
+ *
+ * @param body - { request, signature, deadline? } or { batch, signature, deadline? }
+ */
+function checkRelayBody(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return "Body must be a JSON object";
+    }
+
+    const unknown = Object.keys(body).find(field => !BODY_FIELDS.includes(field));
+    if (unknown) return `Unknown field '${unknown}' in body`;
+
+    if ((body.request === undefined) === (body.batch === undefined)) {
+        return "Body needs exactly one of 'request' or 'batch'";
+    }
+    if (body.signature === undefined) return "Missing 'signature' in body";
+
+    if (body.deadline !== undefined && !(Number.isSafeInteger(body.deadline) && body.deadline > 0)) {
+        return "'deadline' must be a timestamp in milliseconds";
+    }
+
+    const isBatch = body.batch !== undefined;
+    const name = isBatch ? "batch" : "request";
+    const entry = body[name];
+
+    const shapeError = fieldsError(name, entry, isBatch ? BATCH_FIELDS : REQUEST_FIELDS);
+    if (shapeError) return shapeError;
+
+    // Part of the signed type; 0 leaves a side of the window open
+    const entryError = addressError(`${name}.from`, entry.from)
+        || uintError(`${name}.nonce`, entry.nonce)
+        || uintError(`${name}.validAfter`, entry.validAfter)
+        || uintError(`${name}.validUntil`, entry.validUntil);
+    if (entryError) return entryError;
+
+    if (isBatch) {
+        if (!Array.isArray(entry.calls) || entry.calls.length === 0) {
+            return "'batch' needs a non-empty 'calls' array";
+        }
+        for (let i = 0; i < entry.calls.length; i++) {
+            const error = fieldsError(`batch.calls[${i}]`, entry.calls[i], CALL_FIELDS)
+                || callError(`batch.calls[${i}]`, entry.calls[i]);
+            if (error) return error;
+        }
+    } else {
+        const error = callError("request", entry);
+        if (error) return error;
+    }
+
+    return signatureError(body.signature, isBatch);
+}
+
+/**
+ * Why a /api/estimate body is malformed, or null. The requests aren't
+ * signed yet, so `value` defaults to 0 and the nonce and validity window
+ * may be left out; whatever is sent is checked as in checkRelayBody().
+ *
+ * @param body        - { requests: [{ from, to, value?, gas, data, ... }] }
+ * @param maxRequests - Most requests one body may hold
+ */
+function checkEstimateBody(body, maxRequests) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return "Body must be a JSON object";
+    }
+
+    const unknown = Object.keys(body).find(field => field !== "requests");
+    if (unknown) return `Unknown field '${unknown}' in body`;
+
+    if (!Array.isArray(body.requests) || body.requests.length === 0) {
+        return "Body must have a non-empty 'requests' array";
+    }
+    if (body.requests.length > maxRequests) {
+        return `At most ${maxRequests} requests can be estimated at once`;
+    }
+
+    for (let i = 0; i < body.requests.length; i++) {
+        const name = `requests[${i}]`;
+        const request = body.requests[i];
+        if (!request || typeof request !== "object" || Array.isArray(request)) {
+            return `'${name}' must be an object`;
+        }
+
+        const entry = { value: "0", nonce: "0", validAfter: "0", validUntil: "0", ...request };
+        const error = fieldsError(name, entry, REQUEST_FIELDS)
+            || addressError(`${name}.from`, entry.from)
+            || callError(name, entry)
+            || uintError(`${name}.nonce`, entry.nonce)
+            || uintError(`${name}.validAfter`, entry.validAfter)
+            || uintError(`${name}.validUntil`, entry.validUntil);
+        if (error) return error;
+    }
+    return null;
+}
+
+export { checkRelayBody, checkEstimateBody };
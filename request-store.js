@@ -0,0 +1,249 @@
+// request-store.js
+// Durable storage for the relayer queue.
+// Every signed request is recorded here before the relayer acknowledges it,
+// so a restart of server.js or a crash in the middle of a flush never loses
+// what users submitted through /api/relay.
+
+import fs from "fs";
+import path from "path";
+
+// Lifecycle of a relayed request:
+//   queued → submitted → confirmed
+//                      ↘ failed
+const REQUEST_STATUS = {
+    QUEUED: "queued",
+    SUBMITTED: "submitted",
+    CONFIRMED: "confirmed",
+    FAILED: "failed"
+};
+
+// Confirmed and failed records are kept this long after their last
+// update, then pruned (7 days)
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// BigInt values (nonces, gas, value) are not valid JSON, store them as strings
+function serialize(entry) {
+    return JSON.stringify(entry, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+    );
+}
+
+/**
+ * In-memory store. Loses everything on restart — useful for local testing
+ * and as the base for the persistent backends.
+ *
+ * Storage interface (every backend implements these):
+ *   load()                  - Return all known records (called once on startup)
+ *   put(record)             - Insert or replace a record
+ *   update(id, changes)     - Merge changes into one record
+ *   updateMany(ids, changes) - Merge the same changes into several records
+ *   get(id)                 - Look up one record
+ *   list(status?)           - All records, optionally filtered by status
+ *   prune(now?)             - Drop confirmed and failed records older than
+ *                             the retention window; returns how many
+ *
+ * @param options - {
+ *   retentionMs - How long confirmed and failed records are kept after
+ *                 their last update (default 7 days, 0 = forever)
+ * }
+ */
+class MemoryRequestStore {
+    constructor(options = {}) {
+        this.records = new Map();
+        this.retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS;
+    }
+
+    async load() {
+        return this.list();
+    }
+
+    async put(record) {
+        const stored = { ...record, updatedAt: Date.now() };
+        this.records.set(record.id, stored);
+        return stored;
+    }
+
+    async update(id, changes) {
+        return (await this.updateMany([id], changes))[0] || null;
+    }
+
+    async updateMany(ids, changes) {
+        const updated = [];
+        for (const id of ids) {
+            const record = this.records.get(id);
+            if (!record) continue;
+            Object.assign(record, changes, { updatedAt: Date.now() });
+            updated.push(record);
+        }
+        return updated;
+    }
+
+    async get(id) {
+        return this.records.get(id) || null;
+    }
+
+    async list(status) {
+        const all = [...this.records.values()];
+        return status ? all.filter(r => r.status === status) : all;
+    }
+
+    async prune(now = Date.now()) {
+        return this.expire(now);
+    }
+
+    /**
+     * Delete finished records past the retention window from memory.
+     * Returns how many were deleted.
+     */
+    expire(now) {
+        if (!this.retentionMs) return 0;
+
+        let removed = 0;
+        for (const [id, record] of this.records) {
+            if (record.status !== REQUEST_STATUS.CONFIRMED && record.status !== REQUEST_STATUS.FAILED) continue;
+            if ((record.updatedAt ?? record.createdAt ?? 0) + this.retentionMs > now) continue;
+            this.records.delete(id);
+            removed++;
+        }
+        return removed;
+    }
+
+    async close() {}
+}
+
+/**
+ * Append-only file store (one JSON entry per line).
+ *
+ * Each write appends either a full record ("put") or a patch ("update") and
+ * is fsync'd before the promise resolves. On startup the log is replayed in
+ * order, a torn last line from a crash is ignored, and the file is compacted
+ * into one "put" per record. Pruning drops finished records from memory and
+ * compacts the file again, so neither grows without bound.
+ *
+ * @param options - See MemoryRequestStore
+ */
+class FileRequestStore extends MemoryRequestStore {
+    constructor(filePath, options = {}) {
+        super(options);
+        this.filePath = filePath;
+        this.handle = null;
+        this.writeChain = Promise.resolve();
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const content = fs.existsSync(this.filePath)
+            ? await fs.promises.readFile(this.filePath, "utf8")
+            : "";
+
+        for (const line of content.split("\n")) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                console.warn(`Skipping corrupt queue entry in ${this.filePath}`);
+                continue;
+            }
+
+            if (entry.op === "put") {
+                this.records.set(entry.record.id, entry.record);
+            } else if (entry.op === "update" && this.records.has(entry.id)) {
+                Object.assign(this.records.get(entry.id), entry.changes);
+            }
+        }
+
+        await this.compact();
+        return this.list();
+    }
+
+    async put(record) {
+        const stored = await super.put(record);
+        await this.append([{ op: "put", record: stored }]);
+        return stored;
+    }
+
+    async updateMany(ids, changes) {
+        const updated = await super.updateMany(ids, changes);
+        await this.append(updated.map(record => ({
+            op: "update",
+            id: record.id,
+            changes: { ...changes, updatedAt: record.updatedAt }
+        })));
+        return updated;
+    }
+
+    async prune(now = Date.now()) {
+        const removed = this.expire(now);
+        if (removed > 0) await this.compact(now);
+        return removed;
+    }
+
+    /**
+     * Rewrite the log as one entry per record, leaving out records past
+     * the retention window. Written to a temp file and renamed so a crash
+     * during compaction leaves the old log intact. Runs on the write chain
+     * so no append lands in the file being replaced.
+     */
+    compact(now = Date.now()) {
+        const run = this.writeChain.then(async () => {
+            if (this.handle) {
+                await this.handle.close();
+                this.handle = null;
+            }
+
+            this.expire(now);
+            const tmpPath = `${this.filePath}.tmp`;
+            const lines = [...this.records.values()]
+                .map(record => serialize({ op: "put", record }) + "\n")
+                .join("");
+
+            const tmp = await fs.promises.open(tmpPath, "w");
+            await tmp.writeFile(lines);
+            await tmp.sync();
+            await tmp.close();
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+
+        this.writeChain = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Append entries and fsync. Writes are chained so concurrent callers
+     * never interleave partial lines.
+     */
+    append(entries) {
+        if (entries.length === 0) return this.writeChain;
+
+        const data = entries.map(entry => serialize(entry) + "\n").join("");
+
+        const write = this.writeChain.then(async () => {
+            if (!this.handle) {
+                this.handle = await fs.promises.open(this.filePath, "a");
+            }
+            await this.handle.appendFile(data);
+            await this.handle.sync();
+        });
+
+        // A failed write is reported to its caller but must not block later ones
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    async closeHandle() {
+        await this.writeChain;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    async close() {
+        await this.closeHandle();
+    }
+}
+
+export { REQUEST_STATUS, MemoryRequestStore, FileRequestStore };
@@ -94,6 +94,8 @@ async function main() {
         );
         const gasSponsorReceipt = await gasSponsor.waitForDeployment();
         const gasSponsorAddress = await gasSponsor.getAddress();
+        // Where the admin tools start looking for RelayerStatusChanged events
+        const gasSponsorBlock = (await gasSponsor.deploymentTransaction().wait()).blockNumber;
         console.log("✅ GasSponsor deployed at:", gasSponsorAddress);
 
         // ============================================
@@ -110,6 +112,20 @@ async function main() {
         await setRelayerTx.wait();
         console.log("✅ Relayer whitelisted:", relayerAddress);
 
+        // Extra relayer wallets for concurrent batches (RELAYER_PRIVATE_KEYS)
+        const extraRelayers = (process.env.RELAYER_PRIVATE_KEYS || "")
+            .split(",")
+            .map(key => key.trim())
+            .filter(Boolean)
+            .map(key => new ethers.Wallet(key).address)
+            .filter(address => address !== relayerAddress);
+
+        for (const address of extraRelayers) {
+            const tx = await gasSponsorContract.setRelayer(address, true);
+            await tx.wait();
+            console.log("✅ Relayer whitelisted:", address);
+        }
+
         // ============================================
         // 5. Update .env file
         // ============================================
@@ -153,6 +169,7 @@ async function main() {
                 },
                 GasSponsor: {
                     address: gasSponsorAddress,
+                    blockNumber: gasSponsorBlock,
                     limits: {
                         maxPerClaim: ethers.formatEther(limits.maxPerClaim) + " ETH",
                         dailyLimitPerRelayer: ethers.formatEther(limits.dailyLimitPerRelayer) + " ETH",
@@ -0,0 +1,301 @@
+// scripts/sponsor-admin.js
+// Command-line admin for the GasSponsor pool (npm run sponsor -- <command>)
+//
+//   status               Pool balance, totals, limits, daily allowances, whitelist
+//   set-limits           --max-per-claim, --relayer-daily, --user-daily, --global-daily (ETH)
+//   pause | unpause      Stop or resume all claims
+//   set-relayer          <address> <on|off>
+//   deposit              <ETH>
+//   withdraw             Emergency withdrawal of the whole pool to the owner
+//   transfer-ownership   <address>
+//
+// Reads SEPOLIA_RPC_URL and GAS_SPONSOR_ADDRESS (or deployment.json).
+// Changes are signed with SPONSOR_OWNER_PRIVATE_KEY, or DEPLOYER_PRIVATE_KEY
+// (the owner after deploy-v2.js). Each change shows the current and new
+// values and waits for "y" unless --yes is given.
+
+import { ethers } from "ethers";
+import * as fs from "fs";
+import * as path from "path";
+import * as readline from "readline/promises";
+import { fileURLToPath } from "url";
+import "dotenv/config.js";
+import {
+    GAS_SPONSOR_ABI,
+    SPONSOR_LIMITS,
+    loadSponsorStatus,
+    parseLimits,
+    limitChanges,
+    limitWarnings
+} from "../sdk/index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: npm run sponsor -- <command> [options]
+
+  status [--user 0x...] [--relayer 0x...]   Pool status (repeat --user / --relayer)
+  set-limits [--max-per-claim ETH] [--relayer-daily ETH]
+             [--user-daily ETH] [--global-daily ETH]
+  pause | unpause
+  set-relayer <address> <on|off>
+  deposit <ETH>
+  withdraw                                 Emergency withdrawal to the owner
+  transfer-ownership <address>
+
+Options:
+  --from-block N   Where to start looking for whitelist changes
+                   (default: the deployment block from deployment.json)
+  --yes            Don't ask for confirmation`;
+
+// set-limits flags => setLimits() arguments
+const LIMIT_FLAGS = {
+    "max-per-claim": "maxPerClaim",
+    "relayer-daily": "dailyLimitPerRelayer",
+    "user-daily": "dailyLimitPerUser",
+    "global-daily": "globalDailyLimit"
+};
+
+function formatETH(wei) {
+    return `${ethers.formatEther(wei)} ETH`;
+}
+
+/**
+ * "<command> <args...> --flag value --yes". Flags can repeat, so each
+ * one is a list of values.
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith("--")) {
+            positional.push(argv[i]);
+            continue;
+        }
+        const name = argv[i].slice(2);
+        if (name === "yes" || name === "help") {
+            flags[name] = true;
+            continue;
+        }
+        if (argv[i + 1] === undefined) throw new Error(`--${name} needs a value`);
+        (flags[name] = flags[name] || []).push(argv[++i]);
+    }
+    return { command: positional[0], args: positional.slice(1), flags };
+}
+
+function lastFlag(flags, name) {
+    return flags[name] ? flags[name][flags[name].length - 1] : undefined;
+}
+
+function addressArg(value, what) {
+    if (!value || !ethers.isAddress(value)) throw new Error(`${what}: expected an address, got ${value}`);
+    return ethers.getAddress(value);
+}
+
+function loadDeployment() {
+    const deploymentPath = path.join(__dirname, "..", "deployment.json");
+    return fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, "utf8")) : null;
+}
+
+function printTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    for (const row of rows) {
+        console.log(("  " + row.map((cell, column) => String(cell).padEnd(widths[column])).join("   ")).trimEnd());
+    }
+}
+
+function printStatus(status) {
+    console.log(`\n⛽ GasSponsor ${status.address}`);
+    console.log(`  Owner:            ${status.owner}`);
+    console.log(`  Claims:           ${status.paused ? "⚠ PAUSED" : "active"}`);
+    console.log(`  Pool balance:     ${formatETH(status.balance)}`);
+    console.log(`  Total deposited:  ${formatETH(status.totalDeposited)}`);
+    console.log(`  Total claimed:    ${formatETH(status.totalClaimed)} in ${status.totalClaimCount} claims`);
+
+    console.log("\n⚙️  Limits:");
+    printTable(SPONSOR_LIMITS.map(name => [name, formatETH(status.limits[name])]));
+
+    console.log("\n📅 Left today (UTC):");
+    const rows = [["global", formatETH(status.globalRemaining)]];
+    for (const user of status.users) rows.push([`user ${user.address}`, formatETH(user.remaining)]);
+    printTable(rows);
+
+    console.log("\n🔄 Relayers:");
+    if (status.relayers.length === 0) {
+        console.log("  (none found; try --from-block or --relayer)");
+    } else {
+        printTable(status.relayers.map(relayer => [
+            relayer.address,
+            relayer.whitelisted ? "whitelisted" : "not whitelisted",
+            relayer.whitelisted ? `${formatETH(relayer.remaining)} left today` : ""
+        ]));
+    }
+    console.log();
+}
+
+/**
+ * Show what a change does and ask before sending it.
+ *
+ * @param change - { title, rows: [[what, current, new]], warnings }
+ */
+async function confirm(change, yes) {
+    console.log(`\n📝 ${change.title}\n`);
+    printTable([["", "Current", "New"], ...change.rows]);
+    for (const warning of change.warnings) console.log(`\n⚠ ${warning}`);
+    if (yes) return true;
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await rl.question("\nSend this transaction? [y/N] ");
+    rl.close();
+    return answer.trim().toLowerCase() === "y";
+}
+
+/**
+ * The transaction a command sends, described for confirm().
+ */
+async function buildChange(command, args, flags, status, sponsor) {
+    switch (command) {
+        case "set-limits": {
+            const values = {};
+            for (const [flag, name] of Object.entries(LIMIT_FLAGS)) values[name] = lastFlag(flags, flag);
+            const next = parseLimits(values, status.limits);
+            const changes = limitChanges(status.limits, next);
+            if (!changes.some(change => change.changed)) {
+                throw new Error("No new limit given (--max-per-claim, --relayer-daily, --user-daily, --global-daily)");
+            }
+            return {
+                title: "Set GasSponsor limits",
+                rows: changes.map(change => [
+                    change.changed ? change.name : `${change.name} (unchanged)`,
+                    formatETH(change.current),
+                    formatETH(change.next)
+                ]),
+                warnings: limitWarnings(next),
+                send: () => sponsor.setLimits(...SPONSOR_LIMITS.map(name => next[name]))
+            };
+        }
+
+        case "pause":
+        case "unpause": {
+            const paused = command === "pause";
+            if (status.paused === paused) throw new Error(`Claims are already ${paused ? "paused" : "active"}`);
+            return {
+                title: paused ? "Pause all claims" : "Resume claims",
+                rows: [["paused", String(status.paused), String(paused)]],
+                warnings: paused ? ["Relayers can't claim reimbursement until it is unpaused"] : [],
+                send: () => sponsor.setPaused(paused)
+            };
+        }
+
+        case "set-relayer": {
+            const relayer = addressArg(args[0], "set-relayer");
+            if (args[1] !== "on" && args[1] !== "off") throw new Error("set-relayer: expected on or off");
+            const whitelisted = args[1] === "on";
+            const current = await sponsor.whitelistedRelayers(relayer);
+            if (current === whitelisted) {
+                throw new Error(`${relayer} is already ${whitelisted ? "whitelisted" : "not whitelisted"}`);
+            }
+            return {
+                title: `${whitelisted ? "Whitelist" : "Remove"} relayer ${relayer}`,
+                rows: [["whitelisted", String(current), String(whitelisted)]],
+                warnings: [],
+                send: () => sponsor.setRelayer(relayer, whitelisted)
+            };
+        }
+
+        case "deposit": {
+            let amount;
+            try {
+                amount = ethers.parseEther(args[0] || "");
+            } catch (e) {
+                throw new Error(`deposit: expected an ETH amount, got ${args[0]}`);
+            }
+            if (amount <= 0n) throw new Error("deposit: amount must be above 0");
+            return {
+                title: `Deposit ${formatETH(amount)}`,
+                rows: [["pool balance", formatETH(status.balance), formatETH(status.balance + amount)]],
+                warnings: [],
+                send: () => sponsor.deposit({ value: amount })
+            };
+        }
+
+        case "withdraw":
+            return {
+                title: "Emergency withdrawal",
+                rows: [
+                    ["pool balance", formatETH(status.balance), "0.0 ETH"],
+                    ["paid to", "", status.owner]
+                ],
+                warnings: ["Every claim fails until the pool is funded again"],
+                send: () => sponsor.emergencyWithdraw()
+            };
+
+        case "transfer-ownership": {
+            const newOwner = addressArg(args[0], "transfer-ownership");
+            return {
+                title: "Transfer ownership",
+                rows: [["owner", status.owner, newOwner]],
+                warnings: ["This key loses every admin function. Make sure the new owner can sign"],
+                send: () => sponsor.transferOwnership(newOwner)
+            };
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+}
+
+async function main() {
+    const { command, args, flags } = parseArgs(process.argv.slice(2));
+    if (!command || command === "help" || flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!process.env.SEPOLIA_RPC_URL) throw new Error("SEPOLIA_RPC_URL not set in .env");
+    const provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
+
+    const deployment = loadDeployment();
+    const deployed = deployment && deployment.contracts.GasSponsor;
+    const address = process.env.GAS_SPONSOR_ADDRESS || (deployed && deployed.address);
+    if (!address) throw new Error("GAS_SPONSOR_ADDRESS not set and no deployment.json");
+
+    const fromBlock = lastFlag(flags, "from-block");
+    const status = await loadSponsorStatus(provider, address, {
+        users: (flags.user || []).map(user => addressArg(user, "--user")),
+        candidates: [process.env.RELAYER_ADDRESS, ...(flags.relayer || [])].filter(Boolean),
+        fromBlock: fromBlock !== undefined ? parseInt(fromBlock) : deployed && deployed.blockNumber
+    });
+
+    if (command === "status") {
+        printStatus(status);
+        return;
+    }
+
+    const key = process.env.SPONSOR_OWNER_PRIVATE_KEY || process.env.DEPLOYER_PRIVATE_KEY;
+    if (!key) throw new Error("SPONSOR_OWNER_PRIVATE_KEY (or DEPLOYER_PRIVATE_KEY) not set in .env");
+    const wallet = new ethers.Wallet(key, provider);
+    const sponsor = new ethers.Contract(address, GAS_SPONSOR_ABI, wallet);
+
+    // Anyone can deposit; everything else is onlyOwner
+    if (command !== "deposit" && wallet.address !== status.owner) {
+        throw new Error(`${wallet.address} is not the GasSponsor owner (${status.owner})`);
+    }
+
+    const change = await buildChange(command, args, flags, status, sponsor);
+    if (!await confirm(change, flags.yes)) {
+        console.log("Cancelled, nothing sent.");
+        return;
+    }
+
+    const tx = await change.send();
+    console.log(`\n⏳ Sent ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`✅ Confirmed in block ${receipt.blockNumber}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    });
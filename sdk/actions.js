@@ -0,0 +1,184 @@
+// sdk/actions.js
+// Contract-call actions from an ABI.
+//
+// An action is what signBatchRequests() turns into a ForwardRequest:
+// { to, data, gasLimit, value }. These helpers build one for any contract
+// function from a pasted ABI and the raw strings a user typed into a
+// form, so callers aren't limited to token transfers.
+//
+// The target sees BatchExecutor as msg.sender unless it trusts it as an
+// ERC-2771 forwarder (reads the appended sender, like SampleToken).
+
+import { ethers } from "ethers";
+
+const FRAGMENT_KEYWORDS = ["function", "event", "error", "constructor", "fallback", "receive"];
+
+/**
+ * Parse an ABI given as JSON (an ABI array, or an artifact with an `abi`
+ * field) or as human-readable signatures, one per line. A line without a
+ * keyword is taken as a function: "approve(address spender, uint256 amount)".
+ *
+ * @param text - The pasted ABI
+ * @returns    - ethers.Interface
+ */
+function parseAbi(text) {
+    const trimmed = (text || "").trim();
+    if (!trimmed) throw new Error("ABI is empty");
+
+    let fragments;
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+        let json;
+        try {
+            json = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error(`ABI is not valid JSON: ${e.message}`);
+        }
+        fragments = Array.isArray(json) ? json : json.abi;
+        if (!Array.isArray(fragments)) throw new Error("JSON ABI must be an array or have an \"abi\" array");
+    } else {
+        fragments = trimmed.split("\n")
+            .map(line => line.trim().replace(/[;,]$/, ""))
+            .filter(Boolean)
+            .map(line => FRAGMENT_KEYWORDS.includes(line.split(/[\s(]/)[0]) ? line : `function ${line}`);
+    }
+
+    // ethers.Interface skips fragments it can't parse; fail on them instead
+    const parsed = fragments.map(fragment => {
+        try {
+            return ethers.Fragment.from(fragment);
+        } catch (e) {
+            const shown = typeof fragment === "string" ? fragment : JSON.stringify(fragment);
+            throw new Error(`Invalid ABI entry ${shown}: ${e.shortMessage || e.message}`);
+        }
+    });
+    return new ethers.Interface(parsed);
+}
+
+/**
+ * Functions a batch can usefully call (view and pure ones change nothing).
+ */
+function writableFunctions(iface) {
+    return iface.fragments.filter(f =>
+        f.type === "function" && f.stateMutability !== "view" && f.stateMutability !== "pure"
+    );
+}
+
+/**
+ * Convert one input string to the value ethers expects for `param`.
+ *
+ * Integers are base units (decimal or hex) unless a unit is given:
+ * "1.5 ether" is 1.5e18, which is also 1.5 tokens for 18-decimal tokens.
+ * Arrays and tuples are JSON: ["0xabc...", "0xdef..."], [1, "0x12"].
+ */
+function parseArg(param, raw) {
+    const label = param.name || param.type;
+
+    if (param.baseType === "array" || param.baseType === "tuple") {
+        let value = raw;
+        if (typeof raw === "string") {
+            try {
+                value = JSON.parse(raw);
+            } catch (e) {
+                throw new Error(`${label}: expected JSON for ${param.type}`);
+            }
+        }
+
+        if (param.baseType === "array") {
+            if (!Array.isArray(value)) throw new Error(`${label}: expected an array`);
+            if (param.arrayLength >= 0 && value.length !== param.arrayLength) {
+                throw new Error(`${label}: expected ${param.arrayLength} items, got ${value.length}`);
+            }
+            return value.map(item => parseArg(param.arrayChildren, stringify(item)));
+        }
+
+        const items = Array.isArray(value) ? value : param.components.map(c => value[c.name]);
+        if (items.length !== param.components.length) {
+            throw new Error(`${label}: expected ${param.components.length} fields`);
+        }
+        return param.components.map((c, i) => parseArg(c, stringify(items[i])));
+    }
+
+    const text = (raw ?? "").trim();
+    if (text === "") throw new Error(`${label}: required`);
+
+    if (param.baseType === "address") {
+        if (!ethers.isAddress(text)) throw new Error(`${label}: invalid address`);
+        return ethers.getAddress(text);
+    }
+
+    if (param.baseType === "bool") {
+        if (text !== "true" && text !== "false") throw new Error(`${label}: expected true or false`);
+        return text === "true";
+    }
+
+    if (param.baseType.startsWith("uint") || param.baseType.startsWith("int")) {
+        return parseInteger(label, text);
+    }
+
+    if (param.baseType.startsWith("bytes")) {
+        if (!ethers.isHexString(text)) throw new Error(`${label}: expected 0x-prefixed hex`);
+        return text;
+    }
+
+    // string
+    return raw;
+}
+
+function stringify(item) {
+    return typeof item === "string" ? item : JSON.stringify(item);
+}
+
+function parseInteger(label, text) {
+    const withUnit = text.match(/^(-?[0-9.]+)\s*(ether|gwei|wei)$/i);
+    try {
+        if (withUnit) return ethers.parseUnits(withUnit[1], withUnit[2].toLowerCase());
+        return BigInt(text);
+    } catch (e) {
+        throw new Error(`${label}: expected an integer (or an amount like "1.5 ether")`);
+    }
+}
+
+/**
+ * Build an action calling `functionName` on `to`.
+ *
+ * @param options - {
+ *   to           - Target contract
+ *   iface        - ethers.Interface from parseAbi()
+ *   functionName - Name or full signature (for overloads)
+ *   args         - Input strings, in the function's parameter order
+ *   value        - ETH to send, in ether (string, default "0")
+ *   gasLimit     - Gas for the inner call (default 200000)
+ * }
+ * @returns { to, data, gasLimit, value }
+ */
+function buildCallAction(options) {
+    if (!ethers.isAddress(options.to)) throw new Error("Invalid target address");
+
+    const fragment = options.iface.getFunction(options.functionName);
+    if (!fragment) throw new Error(`Function ${options.functionName} not in ABI`);
+
+    const args = fragment.inputs.map((param, i) => parseArg(param, (options.args || [])[i]));
+
+    let value;
+    try {
+        value = ethers.parseEther((options.value || "0").toString().trim() || "0");
+    } catch (e) {
+        throw new Error("Invalid ETH value");
+    }
+    if (value < 0n) throw new Error("Invalid ETH value");
+    if (value > 0n && !fragment.payable) {
+        throw new Error(`${fragment.name} is not payable; it can't receive ETH`);
+    }
+
+    const gasLimit = Number(options.gasLimit || 200000);
+    if (!Number.isSafeInteger(gasLimit) || gasLimit <= 0) throw new Error("Invalid gas limit");
+
+    return {
+        to: ethers.getAddress(options.to),
+        data: options.iface.encodeFunctionData(fragment, args),
+        gasLimit,
+        value
+    };
+}
+
+export { parseAbi, writableFunctions, parseArg, buildCallAction };
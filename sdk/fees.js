@@ -0,0 +1,31 @@
+// sdk/fees.js
+// Relayer fee leg for token fee mode.
+//
+// When the relayer quotes { mode: "token" }, the user pays it by signing
+// one more request: a token transfer to the relayer, executed in the same
+// batch. BatchExecutor appends the user's address to the call, so the
+// token (via _msgSender) moves the user's own tokens.
+
+import { ethers } from "ethers";
+import { FEE_TOKEN_ABI } from "./types.js";
+
+/**
+ * Turn a quote from RelayClient.quote() into an action for
+ * signBatchRequests(). Sign it LAST, after the actions it pays for:
+ * the relayer holds a bundle until its fee leg arrives, and a client
+ * that falls back to self-submitting can simply drop it.
+ *
+ * @param quote - { token, recipient, amount, feeLegGas }
+ * @returns     - { to, data, gasLimit, value }
+ */
+function buildFeeAction(quote) {
+    const iface = new ethers.Interface(FEE_TOKEN_ABI);
+    return {
+        to: quote.token,
+        data: iface.encodeFunctionData("transfer", [quote.recipient, BigInt(quote.amount)]),
+        gasLimit: Number(quote.feeLegGas),
+        value: 0
+    };
+}
+
+export { buildFeeAction };
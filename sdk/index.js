@@ -0,0 +1,69 @@
+// sdk/index.js
+// Batch Relay SDK — one source of truth for the ForwardRequest type,
+// EIP-712 domain, signing and the relay API. Used by index.html,
+// relayer.js, signer.js and test/gas-benchmark.js.
+//
+// Node:    import { signRequest } from "./sdk/index.js";
+// Browser: <script type="importmap"> maps "ethers" to its ESM build, then
+//          import { signRequest } from "./sdk/index.js";
+
+export {
+    EIP712_DOMAIN_TYPE,
+    FORWARD_REQUEST_TYPES,
+    FORWARD_BATCH_TYPES,
+    SESSION_GRANT_TYPES,
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    BATCH_EXECUTOR_ABI,
+    FEE_TOKEN_ABI,
+    TOKEN_INFO_ABI,
+    GAS_SPONSOR_ABI
+} from "./types.js";
+
+export {
+    getDomain,
+    resolveDomain,
+    buildRequest,
+    signRequest,
+    hashRequest,
+    recoverSigner,
+    signBatchRequests,
+    buildBatch,
+    isForwardBatch,
+    callsOf,
+    signForwardBatch,
+    hashBatch,
+    recoverBatchSigner,
+    signBatchOnce,
+    serializeRequest
+} from "./signing.js";
+
+export {
+    buildSessionGrant,
+    signSessionGrant,
+    hashSessionGrant,
+    recoverGrantSigner,
+    spendOf,
+    checkSessionScope,
+    encodeSessionSignature,
+    decodeSessionSignature,
+    SessionSigner,
+    createSession
+} from "./sessions.js";
+
+export { buildFeeAction } from "./fees.js";
+
+export { parseAbi, writableFunctions, parseArg, buildCallAction } from "./actions.js";
+
+export { supportsForwarder, loadTokenInfo } from "./tokens.js";
+
+export {
+    SPONSOR_LIMITS,
+    loadSponsorStatus,
+    relayerWhitelist,
+    parseLimits,
+    limitChanges,
+    limitWarnings
+} from "./sponsor.js";
+
+export { RelayClient, RelayError } from "./relay-client.js";
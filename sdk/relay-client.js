@@ -0,0 +1,142 @@
+// sdk/relay-client.js
+// Thin HTTP client for the relay server (server.js).
+// Uses fetch, so it runs in the browser and in Node 18+.
+
+import { serializeRequest } from "./signing.js";
+
+/**
+ * Error from the relay server, carrying the HTTP status.
+ */
+class RelayError extends Error {
+    constructor(message, status, body) {
+        super(message);
+        this.name = "RelayError";
+        this.status = status;
+        this.body = body;
+    }
+}
+
+class RelayClient {
+    /**
+     * @param baseUrl - Server origin, e.g. "http://localhost:3000".
+     *                  Empty string means same origin (the web UI).
+     * @param options - { apiKey } — sent as X-API-Key, for dApp backends
+     *                  the server lists in API_KEYS. Keep it server-side.
+     */
+    constructor(baseUrl = "", options = {}) {
+        this.baseUrl = baseUrl.replace(/\/$/, "");
+        this.apiKey = options.apiKey || null;
+    }
+
+    async call(method, path, body) {
+        const headers = {};
+        if (body) headers["Content-Type"] = "application/json";
+        if (this.apiKey) headers["X-API-Key"] = this.apiKey;
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (e) {
+            // Non-JSON body (e.g. proxy error page)
+        }
+
+        if (!response.ok) {
+            const message = (data && data.error) || `Relay server returned ${response.status}`;
+            throw new RelayError(message, response.status, data);
+        }
+
+        return data;
+    }
+
+    /**
+     * GET /health
+     */
+    async health() {
+        return this.call("GET", "/health");
+    }
+
+    /**
+     * POST /api/relay — queue one signed request.
+     * Returns { id, status, queueLength, message }.
+     *
+     * @param options - { deadline } — ms timestamp to be submitted by
+     */
+    async relay(request, signature, options = {}) {
+        return this.call("POST", "/api/relay", {
+            request: serializeRequest(request),
+            signature,
+            deadline: options.deadline
+        });
+    }
+
+    /**
+     * POST /api/relay — queue one signed ForwardBatch (all of a user's
+     * actions under one signature). Same response as relay().
+     *
+     * @param options - { deadline } — ms timestamp to be submitted by
+     */
+    async relayBatch(batch, signature, options = {}) {
+        return this.call("POST", "/api/relay", {
+            batch: serializeRequest(batch),
+            signature,
+            deadline: options.deadline
+        });
+    }
+
+    /**
+     * GET /api/quote — what the relayer charges for a set of actions.
+     * Returns { mode: "sponsored" } or, in token fee mode,
+     * { mode: "token", token, recipient, amount, feeLegGas, ... }.
+     *
+     * @param gasLimits - The `gas` of each action to be signed
+     */
+    async quote(gasLimits) {
+        const query = gasLimits.map(gas => `gas=${encodeURIComponent(gas.toString())}`).join("&");
+        return this.call("GET", `/api/quote?${query}`);
+    }
+
+    /**
+     * POST /api/estimate — simulate unsigned requests before signing.
+     * Returns { requests: [{ gas, directGas, gasLimit, success, error }],
+     * batchGas, gasPrice, cost, sponsor, fee }.
+     */
+    async estimate(requests) {
+        return this.call("POST", "/api/estimate", {
+            requests: requests.map(serializeRequest)
+        });
+    }
+
+    /**
+     * GET /api/relay/:id — lifecycle of a relayed request.
+     */
+    async getStatus(id) {
+        return this.call("GET", `/api/relay/${id}`);
+    }
+
+    /**
+     * GET /api/events — live relay events over Server-Sent Events.
+     * Needs a global EventSource (browsers; Node needs a polyfill).
+     *
+     * @param sender   - Only receive events involving this address (optional)
+     * @param handlers - { "batch.confirmed": (payload) => ..., ... }
+     * @returns        - The EventSource; call .close() to unsubscribe
+     */
+    subscribe(sender, handlers) {
+        const query = sender ? `?sender=${encodeURIComponent(sender)}` : "";
+        const source = new EventSource(`${this.baseUrl}/api/events${query}`);
+
+        for (const [type, handler] of Object.entries(handlers)) {
+            source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+        }
+
+        return source;
+    }
+}
+
+export { RelayClient, RelayError };
@@ -0,0 +1,280 @@
+// sdk/sessions.js
+// Session keys: a short-lived key that signs ForwardRequests for a user.
+//
+// The user signs one SessionGrant naming an ephemeral key, an expiry, the
+// one ERC-20 token and which of its transfer/approve/transferFrom functions
+// the key may call, and a cap on how much of that token those calls may move
+// or approve. The contract only meters those three functions, so it rejects
+// grants for several tokens or for any other function. Every request the
+// key signs then carries the grant along:
+//
+//   signature = abi.encode(grant, grantSignature, sessionSignature)
+//
+// BatchExecutor.verify() accepts that in place of the user's own signature
+// and executeBatch() charges the request's spend to the grant. Session
+// signatures cover ForwardRequests only (not ForwardBatches) and can't
+// send ETH.
+
+import { ethers } from "ethers";
+import { SESSION_GRANT_TYPES, SESSION_GRANT_TUPLE } from "./types.js";
+import { serializeRequest } from "./signing.js";
+
+const SESSION_SIGNATURE_TYPES = [SESSION_GRANT_TUPLE, "bytes", "bytes"];
+
+// Mirrors _spendOf in BatchExecutor.sol: selector => byte offset of the amount.
+// These are also the only selectors a grant may list (_inSessionScope).
+const SPEND_OFFSETS = {
+    "0xa9059cbb": 36,   // transfer(address,uint256)
+    "0x095ea7b3": 36,   // approve(address,uint256)
+    "0x23b872dd": 68    // transferFrom(address,address,uint256)
+};
+
+/**
+ * Build a SessionGrant.
+ *
+ * @param owner      - User the session key signs for
+ * @param sessionKey - Address of the ephemeral key
+ * @param options - {
+ *   validUntil - Unix time (seconds) the grant expires at
+ *   targets    - The token the key may call, as a one-element list
+ *   selectors  - Which of transfer/approve/transferFrom it may call, as
+ *                4-byte selectors or signatures like "transfer(address,uint256)"
+ *   spendLimit - Cap on those calls' amounts, in the token's base units
+ *   salt       - Makes the grant unique (default: random)
+ * }
+ *
+ * Throws if the grant isn't one the contract would honour.
+ */
+function buildSessionGrant(owner, sessionKey, options) {
+    const grant = {
+        owner: owner,
+        sessionKey: sessionKey,
+        validUntil: options.validUntil,
+        targets: options.targets.map(target => ethers.getAddress(target)),
+        selectors: (options.selectors || []).map(toSelector),
+        spendLimit: options.spendLimit ?? 0,
+        salt: options.salt ?? ethers.toBigInt(ethers.randomBytes(32))
+    };
+    const error = checkGrantShape(grant);
+    if (error) throw new Error(error);
+    return grant;
+}
+
+/**
+ * Why the contract would never honour `grant`, or null if it might:
+ * spendLimit is in one token's units and only metered calls are charged
+ * against it, so a grant must name a single target and a non-empty list
+ * of metered selectors.
+ */
+function checkGrantShape(grant) {
+    if (grant.targets.length !== 1) {
+        return "A session must name exactly one token";
+    }
+    if (grant.selectors.length === 0) {
+        return "A session must list the functions it may call";
+    }
+    const unmetered = grant.selectors.find(s => SPEND_OFFSETS[s.toLowerCase()] === undefined);
+    if (unmetered) {
+        return `Function ${unmetered} can't be granted: only transfer, approve and transferFrom are metered`;
+    }
+    return null;
+}
+
+function toSelector(selector) {
+    if (ethers.isHexString(selector, 4)) return selector.toLowerCase();
+    return ethers.FunctionFragment.from(selector).selector;
+}
+
+/**
+ * Sign a SessionGrant with EIP-712 — the one wallet prompt of a session.
+ */
+async function signSessionGrant(signer, domain, grant) {
+    return await signer.signTypedData(domain, SESSION_GRANT_TYPES, grant);
+}
+
+/**
+ * The grant's ID: its EIP-712 digest, as BatchExecutor.hashSessionGrant()
+ * computes it. sessionSpent() and revokeSession() are keyed by it.
+ */
+function hashSessionGrant(domain, grant) {
+    return ethers.TypedDataEncoder.hash(domain, SESSION_GRANT_TYPES, grant);
+}
+
+/**
+ * Recover who signed a grant. Throws on a malformed signature.
+ */
+function recoverGrantSigner(domain, grant, signature) {
+    return ethers.verifyTypedData(domain, SESSION_GRANT_TYPES, grant, signature);
+}
+
+/**
+ * Token amount a call moves or approves, as the contract counts it
+ * against a session's spend limit (0n for any other call).
+ */
+function spendOf(data) {
+    if (ethers.dataLength(data) < 4) return 0n;
+    const offset = SPEND_OFFSETS[ethers.dataSlice(data, 0, 4)];
+    if (offset === undefined || ethers.dataLength(data) < offset + 32) return 0n;
+    return ethers.toBigInt(ethers.dataSlice(data, offset, offset + 32));
+}
+
+/**
+ * Why `grant` doesn't cover `request`, or null if it does. Only checks
+ * what is known offline: what the grant has spent so far and whether
+ * it was revoked are on-chain (sessionSpent, revokedSessions).
+ *
+ * @param now - Current time (ms)
+ */
+function checkSessionScope(grant, request, now = Date.now()) {
+    const shapeError = checkGrantShape(grant);
+    if (shapeError) return shapeError;
+    if (request.from.toLowerCase() !== grant.owner.toLowerCase()) {
+        return "Session belongs to another account";
+    }
+    if (BigInt(grant.validUntil) * 1000n < BigInt(now)) {
+        return "Session expired";
+    }
+    if (BigInt(request.value || 0) !== 0n) {
+        return "Sessions can't send ETH";
+    }
+    if (grant.targets[0].toLowerCase() !== request.to.toLowerCase()) {
+        return `Target ${request.to} is not covered by the session`;
+    }
+    const selector = ethers.dataLength(request.data) >= 4 ? ethers.dataSlice(request.data, 0, 4) : "0x";
+    if (!grant.selectors.some(s => s.toLowerCase() === selector)) {
+        return `Function ${selector} is not covered by the session`;
+    }
+    if (spendOf(request.data) > BigInt(grant.spendLimit)) {
+        return "Amount is over the session's spend limit";
+    }
+    return null;
+}
+
+/**
+ * Pack a session signature (see the top of this file).
+ */
+function encodeSessionSignature(grant, grantSignature, sessionSignature) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+        SESSION_SIGNATURE_TYPES,
+        [grant, grantSignature, sessionSignature]
+    );
+}
+
+/**
+ * Unpack a session signature into { grant, grantSignature, sessionSignature }.
+ * Returns null for a plain 65-byte signature; throws if it is neither.
+ */
+function decodeSessionSignature(signature) {
+    if (ethers.dataLength(signature) === 65) return null;
+
+    const [grant, grantSignature, sessionSignature] =
+        ethers.AbiCoder.defaultAbiCoder().decode(SESSION_SIGNATURE_TYPES, signature);
+
+    return {
+        grant: {
+            owner: grant.owner,
+            sessionKey: grant.sessionKey,
+            validUntil: grant.validUntil,
+            targets: [...grant.targets],
+            selectors: [...grant.selectors],
+            spendLimit: grant.spendLimit,
+            salt: grant.salt
+        },
+        grantSignature,
+        sessionSignature
+    };
+}
+
+/**
+ * Signs ForwardRequests with a session key on behalf of the grant's owner.
+ * It stands in for an ethers Signer in signRequest() and
+ * signBatchRequests(): getAddress() is the owner's address, and
+ * signTypedData() returns a session signature without any prompt.
+ */
+class SessionSigner {
+    /**
+     * @param wallet         - ethers.Wallet holding the session key
+     * @param grant          - SessionGrant naming wallet.address
+     * @param grantSignature - The owner's signature of the grant
+     */
+    constructor(wallet, grant, grantSignature) {
+        if (wallet.address.toLowerCase() !== grant.sessionKey.toLowerCase()) {
+            throw new Error("Session key doesn't match the grant");
+        }
+        this.wallet = wallet;
+        this.grant = grant;
+        this.grantSignature = grantSignature;
+    }
+
+    async getAddress() {
+        return this.grant.owner;
+    }
+
+    /**
+     * When the grant runs out (ms timestamp).
+     */
+    get expiresAt() {
+        return Number(this.grant.validUntil) * 1000;
+    }
+
+    /**
+     * Sign a ForwardRequest the grant covers. Anything else throws, since
+     * the contract would reject it anyway.
+     */
+    async signTypedData(domain, types, value) {
+        if (!types.ForwardRequest || Object.keys(types).length !== 1) {
+            throw new Error("Session keys only sign ForwardRequests");
+        }
+
+        const reason = checkSessionScope(this.grant, value);
+        if (reason) throw new Error(reason);
+
+        const sessionSignature = await this.wallet.signTypedData(domain, types, value);
+        return encodeSessionSignature(this.grant, this.grantSignature, sessionSignature);
+    }
+
+    /**
+     * JSON-safe form for keeping the session across page loads. It holds
+     * the session's private key, so keep it where the page keeps secrets.
+     */
+    toJSON() {
+        return {
+            privateKey: this.wallet.privateKey,
+            grant: serializeRequest(this.grant),
+            grantSignature: this.grantSignature
+        };
+    }
+
+    static fromJSON(data) {
+        return new SessionSigner(new ethers.Wallet(data.privateKey), data.grant, data.grantSignature);
+    }
+}
+
+/**
+ * Start a session: create a random key and have the user's wallet sign a
+ * grant for it.
+ *
+ * @param signer  - The user's ethers Signer
+ * @param domain  - EIP-712 domain
+ * @param options - See buildSessionGrant()
+ * @returns       - SessionSigner
+ */
+async function createSession(signer, domain, options) {
+    const wallet = ethers.Wallet.createRandom();
+    const grant = buildSessionGrant(await signer.getAddress(), wallet.address, options);
+    const grantSignature = await signSessionGrant(signer, domain, grant);
+    return new SessionSigner(wallet, grant, grantSignature);
+}
+
+export {
+    buildSessionGrant,
+    signSessionGrant,
+    hashSessionGrant,
+    recoverGrantSigner,
+    spendOf,
+    checkSessionScope,
+    encodeSessionSignature,
+    decodeSessionSignature,
+    SessionSigner,
+    createSession
+};
@@ -0,0 +1,260 @@
+// sdk/signing.js
+// Domain resolution, request building, EIP-712 signing and hashing.
+// Works with any ethers v6 signer: a BrowserProvider signer (MetaMask)
+// or a Wallet in Node.
+
+import { ethers } from "ethers";
+import {
+    FORWARD_REQUEST_TYPES,
+    FORWARD_BATCH_TYPES,
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    BATCH_EXECUTOR_ABI
+} from "./types.js";
+
+/**
+ * Creates the EIP-712 domain data.
+ * This MUST match what the smart contract uses in its constructor,
+ * otherwise signatures won't verify.
+ */
+function getDomain(batchExecutorAddress, chainId) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: chainId,
+        verifyingContract: batchExecutorAddress
+    };
+}
+
+/**
+ * Build the domain from the connected network and check it against the
+ * contract's DOMAIN_SEPARATOR, so a wrong address or network fails loudly
+ * instead of producing signatures that never verify.
+ *
+ * @param runner               - ethers provider or signer
+ * @param batchExecutorAddress - Address of the deployed BatchExecutor
+ */
+async function resolveDomain(runner, batchExecutorAddress) {
+    const provider = runner.provider || runner;
+    const network = await provider.getNetwork();
+    const domain = getDomain(batchExecutorAddress, network.chainId);
+
+    const batchExecutor = new ethers.Contract(batchExecutorAddress, BATCH_EXECUTOR_ABI, runner);
+    const onchain = await batchExecutor.DOMAIN_SEPARATOR();
+
+    if (ethers.TypedDataEncoder.hashDomain(domain) !== onchain) {
+        throw new Error(
+            `EIP-712 domain mismatch for BatchExecutor at ${batchExecutorAddress} ` +
+            `on chain ${network.chainId}`
+        );
+    }
+
+    return domain;
+}
+
+/**
+ * Build a ForwardRequest object.
+ *
+ * @param from     - User's wallet address
+ * @param to       - Target contract to call (e.g., SampleToken address)
+ * @param data     - Encoded function call (e.g., transfer(to, amount))
+ * @param nonce    - User's current nonce from BatchExecutor
+ * @param gasLimit - Gas limit for this specific call
+ * @param value    - ETH to send (usually 0)
+ * @param validity - { validAfter, validUntil } — unix seconds bounding when
+ *                   it may execute; omitted or 0 leaves that side open
+ */
+function buildRequest(from, to, data, nonce, gasLimit = 200000, value = 0, validity = {}) {
+    return {
+        from: from,
+        to: to,
+        value: value,
+        gas: gasLimit,
+        nonce: nonce,
+        data: data,
+        validAfter: validity.validAfter || 0,
+        validUntil: validity.validUntil || 0
+    };
+}
+
+/**
+ * Sign a ForwardRequest with EIP-712 (eth_signTypedData_v4 in wallets).
+ *
+ * @param signer  - ethers Signer (wallet or BrowserProvider signer)
+ * @param domain  - Domain from getDomain() or resolveDomain()
+ * @param request - The ForwardRequest object
+ * @returns       - The signature (65 bytes hex string)
+ */
+async function signRequest(signer, domain, request) {
+    return await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+}
+
+/**
+ * The EIP-712 digest of a request — exactly what gets signed, and the
+ * request ID the relayer reports back.
+ */
+function hashRequest(domain, request) {
+    return ethers.TypedDataEncoder.hash(domain, FORWARD_REQUEST_TYPES, request);
+}
+
+/**
+ * Recover who signed a request. Throws on a malformed signature.
+ */
+function recoverSigner(domain, request, signature) {
+    return ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+}
+
+/**
+ * Sign one request per action with consecutive nonces.
+ *
+ * @param signer        - ethers Signer
+ * @param batchExecutor - ethers.Contract for the BatchExecutor (for getNonce)
+ * @param domain        - EIP-712 domain
+ * @param actions       - Array of { to, data, gasLimit?, value? }
+ * @param onSign        - Optional callback(index, request) before each prompt
+ * @param validity      - { validAfter, validUntil } for every request (see buildRequest)
+ * @returns             - { requests, signatures } ready for the relayer
+ */
+async function signBatchRequests(signer, batchExecutor, domain, actions, onSign, validity = {}) {
+    const userAddress = await signer.getAddress();
+    const currentNonce = Number(await batchExecutor.getNonce(userAddress));
+
+    const requests = [];
+    const signatures = [];
+
+    for (let i = 0; i < actions.length; i++) {
+        const action = actions[i];
+
+        // Each request gets the next nonce
+        const request = buildRequest(
+            userAddress,
+            action.to,
+            action.data,
+            currentNonce + i,
+            action.gasLimit || 200000,
+            action.value || 0,
+            validity
+        );
+
+        if (onSign) onSign(i, request);
+
+        requests.push(request);
+        signatures.push(await signRequest(signer, domain, request));
+    }
+
+    return { requests, signatures };
+}
+
+/**
+ * Build a ForwardBatch: several actions approved with one signature.
+ * The whole batch uses a single nonce, and the calls run in order.
+ *
+ * @param from     - User's wallet address
+ * @param actions  - Array of { to, data, gasLimit?, value? }
+ * @param nonce    - User's current nonce from BatchExecutor
+ * @param validity - { validAfter, validUntil } (see buildRequest)
+ */
+function buildBatch(from, actions, nonce, validity = {}) {
+    return {
+        from: from,
+        calls: actions.map(action => ({
+            to: action.to,
+            value: action.value || 0,
+            gas: action.gasLimit || 200000,
+            data: action.data
+        })),
+        nonce: nonce,
+        validAfter: validity.validAfter || 0,
+        validUntil: validity.validUntil || 0
+    };
+}
+
+/**
+ * True for a ForwardBatch, false for a ForwardRequest.
+ */
+function isForwardBatch(entry) {
+    return Array.isArray(entry.calls);
+}
+
+/**
+ * The calls a signed entry makes: a ForwardBatch's calls, or the
+ * ForwardRequest itself (it has the same to/value/gas/data fields).
+ */
+function callsOf(entry) {
+    return isForwardBatch(entry) ? entry.calls : [entry];
+}
+
+/**
+ * Sign a ForwardBatch with EIP-712 — one wallet prompt for every call.
+ */
+async function signForwardBatch(signer, domain, batch) {
+    return await signer.signTypedData(domain, FORWARD_BATCH_TYPES, batch);
+}
+
+/**
+ * The EIP-712 digest of a ForwardBatch (its request ID at the relayer).
+ */
+function hashBatch(domain, batch) {
+    return ethers.TypedDataEncoder.hash(domain, FORWARD_BATCH_TYPES, batch);
+}
+
+/**
+ * Recover who signed a ForwardBatch. Throws on a malformed signature.
+ */
+function recoverBatchSigner(domain, batch, signature) {
+    return ethers.verifyTypedData(domain, FORWARD_BATCH_TYPES, batch, signature);
+}
+
+/**
+ * Sign all actions at once as a ForwardBatch at the current nonce.
+ *
+ * @param signer        - ethers Signer
+ * @param batchExecutor - ethers.Contract for the BatchExecutor (for getNonce)
+ * @param domain        - EIP-712 domain
+ * @param actions       - Array of { to, data, gasLimit?, value? }
+ * @param validity      - { validAfter, validUntil } (see buildRequest)
+ * @returns             - { batch, signature } ready for the relayer
+ */
+async function signBatchOnce(signer, batchExecutor, domain, actions, validity = {}) {
+    const userAddress = await signer.getAddress();
+    const nonce = Number(await batchExecutor.getNonce(userAddress));
+
+    const batch = buildBatch(userAddress, actions, nonce, validity);
+    return { batch, signature: await signForwardBatch(signer, domain, batch) };
+}
+
+/**
+ * Copy of a request (or ForwardBatch) with BigInt fields as decimal
+ * strings, safe for JSON.
+ */
+function serializeRequest(request) {
+    const out = {};
+    for (const [key, value] of Object.entries(request)) {
+        if (typeof value === "bigint") {
+            out[key] = value.toString();
+        } else if (Array.isArray(value)) {
+            out[key] = value.map(item => typeof item === "object" ? serializeRequest(item) : item);
+        } else {
+            out[key] = value;
+        }
+    }
+    return out;
+}
+
+export {
+    getDomain,
+    resolveDomain,
+    buildRequest,
+    signRequest,
+    hashRequest,
+    recoverSigner,
+    signBatchRequests,
+    buildBatch,
+    isForwardBatch,
+    callsOf,
+    signForwardBatch,
+    hashBatch,
+    recoverBatchSigner,
+    signBatchOnce,
+    serializeRequest
+};
@@ -0,0 +1,168 @@
+// sdk/sponsor.js
+// GasSponsor pool status and limit changes, for the web app's admin
+// section and scripts/sponsor-admin.js.
+//
+// The contract keeps whitelisted relayers in a mapping it can't list, so
+// the whitelist is rebuilt from RelayerStatusChanged events and checked
+// against whitelistedRelayers() for each address found.
+
+import { ethers } from "ethers";
+import { GAS_SPONSOR_ABI } from "./types.js";
+
+// setLimits() arguments, in order
+const SPONSOR_LIMITS = ["maxPerClaim", "dailyLimitPerRelayer", "dailyLimitPerUser", "globalDailyLimit"];
+
+// Blocks per eth_getLogs query, and how far back to look for
+// RelayerStatusChanged when the deployment block isn't known
+const LOG_QUERY_BLOCKS = 10000;
+const DEFAULT_LOOKBACK_BLOCKS = 50000;
+
+/**
+ * Relayers GasSponsor has whitelisted: every address a
+ * RelayerStatusChanged event names since `fromBlock`, plus `candidates`
+ * (e.g. the relayer's wallets from /health), each with its current status
+ * and what it may still claim today.
+ *
+ * @param sponsor - GasSponsor contract (GAS_SPONSOR_ABI)
+ * @param options - { candidates, fromBlock } — fromBlock defaults to
+ *                  DEFAULT_LOOKBACK_BLOCKS before the latest block
+ * @returns [{ address, whitelisted, remaining }], whitelisted first
+ */
+async function relayerWhitelist(sponsor, options = {}) {
+    const provider = sponsor.runner.provider || sponsor.runner;
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = options.fromBlock ?? Math.max(0, toBlock - DEFAULT_LOOKBACK_BLOCKS);
+
+    const addresses = new Set((options.candidates || []).map(address => ethers.getAddress(address)));
+    const filter = sponsor.filters.RelayerStatusChanged();
+    for (let start = fromBlock; start <= toBlock; start += LOG_QUERY_BLOCKS) {
+        const end = Math.min(start + LOG_QUERY_BLOCKS - 1, toBlock);
+        for (const log of await sponsor.queryFilter(filter, start, end)) {
+            addresses.add(ethers.getAddress(log.args.relayer));
+        }
+    }
+
+    const relayers = await Promise.all([...addresses].map(async address => ({
+        address,
+        whitelisted: await sponsor.whitelistedRelayers(address),
+        remaining: await sponsor.getRelayerDailyRemaining(address)
+    })));
+    return relayers.sort((a, b) => Number(b.whitelisted) - Number(a.whitelisted));
+}
+
+/**
+ * Everything the admin views show about a GasSponsor pool. Amounts are
+ * wei (BigInt).
+ *
+ * @param runner  - ethers provider or signer
+ * @param address - GasSponsor address
+ * @param options - { users, candidates, fromBlock } — users: addresses
+ *                  whose daily allowance to read; see relayerWhitelist()
+ * @returns { address, owner, paused, balance, totalDeposited, totalClaimed,
+ *            totalClaimCount, limits, globalRemaining, relayers, users }
+ */
+async function loadSponsorStatus(runner, address, options = {}) {
+    const sponsor = new ethers.Contract(address, GAS_SPONSOR_ABI, runner);
+
+    const [owner, paused, balance, totalDeposited, totalClaimed, totalClaimCount, globalRemaining] =
+        await Promise.all([
+            sponsor.owner(),
+            sponsor.paused(),
+            sponsor.getBalance(),
+            sponsor.totalDeposited(),
+            sponsor.totalClaimed(),
+            sponsor.totalClaimCount(),
+            sponsor.getGlobalDailyRemaining()
+        ]);
+
+    const values = await Promise.all(SPONSOR_LIMITS.map(name => sponsor[name]()));
+    const limits = Object.fromEntries(SPONSOR_LIMITS.map((name, i) => [name, values[i]]));
+
+    const users = await Promise.all((options.users || []).map(async user => ({
+        address: ethers.getAddress(user),
+        remaining: await sponsor.getUserDailyRemaining(user)
+    })));
+
+    return {
+        address: sponsor.target,
+        owner,
+        paused,
+        balance,
+        totalDeposited,
+        totalClaimed,
+        totalClaimCount,
+        limits,
+        globalRemaining,
+        relayers: await relayerWhitelist(sponsor, options),
+        users
+    };
+}
+
+/**
+ * New limits from ETH amounts ("0.05"). Limits left out (undefined or "")
+ * keep their value in `current`. Throws naming the limit on a bad amount.
+ *
+ * @param values  - { maxPerClaim, dailyLimitPerRelayer, ... } as ETH strings
+ * @param current - Current limits in wei, from loadSponsorStatus()
+ */
+function parseLimits(values, current) {
+    const limits = {};
+    for (const name of SPONSOR_LIMITS) {
+        const value = values[name];
+        if (value === undefined || value === null || String(value).trim() === "") {
+            limits[name] = current[name];
+            continue;
+        }
+        try {
+            limits[name] = ethers.parseEther(String(value).trim());
+        } catch (e) {
+            throw new Error(`${name}: "${value}" is not an ETH amount`);
+        }
+        if (limits[name] < 0n) throw new Error(`${name} can't be negative`);
+    }
+    return limits;
+}
+
+/**
+ * Each limit's current and new value, for a confirmation screen.
+ *
+ * @returns [{ name, current, next, changed }]
+ */
+function limitChanges(current, next) {
+    return SPONSOR_LIMITS.map(name => ({
+        name,
+        current: current[name],
+        next: next[name],
+        changed: current[name] !== next[name]
+    }));
+}
+
+/**
+ * Limits that are allowed but probably not meant: a cap that another
+ * limit makes unreachable, or 0 where it stops all sponsoring.
+ */
+function limitWarnings(limits) {
+    const warnings = [];
+    for (const name of SPONSOR_LIMITS) {
+        if (limits[name] === 0n) warnings.push(`${name} is 0: no claim can succeed`);
+    }
+    if (limits.maxPerClaim > limits.dailyLimitPerRelayer) {
+        warnings.push("maxPerClaim is above dailyLimitPerRelayer: no single claim can reach it");
+    }
+    if (limits.dailyLimitPerRelayer > limits.globalDailyLimit) {
+        warnings.push("dailyLimitPerRelayer is above globalDailyLimit: the global limit applies first");
+    }
+    if (limits.dailyLimitPerUser > limits.globalDailyLimit) {
+        warnings.push("dailyLimitPerUser is above globalDailyLimit: the global limit applies first");
+    }
+    return warnings;
+}
+
+export {
+    SPONSOR_LIMITS,
+    loadSponsorStatus,
+    relayerWhitelist,
+    parseLimits,
+    limitChanges,
+    limitWarnings
+};
@@ -0,0 +1,68 @@
+// sdk/tokens.js
+// Token metadata and trusted-forwarder checks.
+//
+// BatchExecutor calls the token itself and appends the user's address to
+// the calldata. Only a token that trusts BatchExecutor as its forwarder
+// reads that address; any other token sees BatchExecutor as msg.sender,
+// so a "transfer" would move BatchExecutor's own balance or revert.
+
+import { ethers } from "ethers";
+import { TOKEN_INFO_ABI } from "./types.js";
+
+/**
+ * Whether `address` trusts `forwarder` (reads the appended sender).
+ * Tokens exposing neither isTrustedForwarder() nor trustedForwarder()
+ * count as not supporting it.
+ *
+ * @param runner    - ethers provider or signer
+ * @param address   - Token (or any target contract)
+ * @param forwarder - BatchExecutor address
+ */
+async function supportsForwarder(runner, address, forwarder) {
+    const contract = new ethers.Contract(address, TOKEN_INFO_ABI, runner);
+
+    try {
+        return await contract.isTrustedForwarder(forwarder);
+    } catch (e) {
+        // Not ERC-2771's interface; try the single-forwarder getter
+    }
+
+    try {
+        const trusted = await contract.trustedForwarder();
+        return trusted.toLowerCase() === forwarder.toLowerCase();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Read a token's symbol, decimals, forwarder support and (if `owner` is
+ * given) the owner's balance. Throws if the address isn't an ERC-20.
+ *
+ * @returns { address, symbol, decimals, balance, forwarderSupported }
+ */
+async function loadTokenInfo(runner, address, forwarder, owner = null) {
+    const token = new ethers.Contract(ethers.getAddress(address), TOKEN_INFO_ABI, runner);
+
+    let symbol, decimals;
+    try {
+        [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    } catch (e) {
+        throw new Error(`${address} is not an ERC-20 token (no symbol/decimals)`);
+    }
+
+    const [balance, forwarderSupported] = await Promise.all([
+        owner ? token.balanceOf(owner) : null,
+        supportsForwarder(runner, token.target, forwarder)
+    ]);
+
+    return {
+        address: token.target,
+        symbol,
+        decimals: Number(decimals),
+        balance,
+        forwarderSupported
+    };
+}
+
+export { supportsForwarder, loadTokenInfo };
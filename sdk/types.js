@@ -0,0 +1,147 @@
+// sdk/types.js
+// EIP-712 types and contract ABIs shared by the browser, the relayer and
+// the benchmark. These MUST match BatchExecutor.sol, otherwise signatures
+// won't verify.
+
+const EIP712_DOMAIN_TYPE = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+// Matches REQUEST_TYPEHASH in BatchExecutor.sol. validAfter/validUntil are
+// unix times (seconds) bounding when it may execute; 0 leaves a side open.
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "data", type: "bytes" },
+        { name: "validAfter", type: "uint256" },
+        { name: "validUntil", type: "uint256" }
+    ]
+};
+
+// Matches BATCH_TYPEHASH / CALL_TYPEHASH in BatchExecutor.sol: several
+// calls under one signature and one nonce
+const FORWARD_BATCH_TYPES = {
+    ForwardBatch: [
+        { name: "from", type: "address" },
+        { name: "calls", type: "Call[]" },
+        { name: "nonce", type: "uint256" },
+        { name: "validAfter", type: "uint256" },
+        { name: "validUntil", type: "uint256" }
+    ],
+    Call: [
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "data", type: "bytes" }
+    ]
+};
+
+// Matches SESSION_TYPEHASH in BatchExecutor.sol: lets a session key sign
+// ForwardRequests for `owner` within these limits (see sdk/sessions.js)
+const SESSION_GRANT_TYPES = {
+    SessionGrant: [
+        { name: "owner", type: "address" },
+        { name: "sessionKey", type: "address" },
+        { name: "validUntil", type: "uint256" },
+        { name: "targets", type: "address[]" },
+        { name: "selectors", type: "bytes4[]" },
+        { name: "spendLimit", type: "uint256" },
+        { name: "salt", type: "uint256" }
+    ]
+};
+
+// Domain name/version passed to the BatchExecutor constructor
+const DOMAIN_NAME = "BatchExecutor";
+const DOMAIN_VERSION = "1";
+
+const FORWARD_REQUEST_TUPLE =
+    "tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data, uint256 validAfter, uint256 validUntil)";
+
+const FORWARD_BATCH_TUPLE =
+    "tuple(address from, tuple(address to, uint256 value, uint256 gas, bytes data)[] calls, uint256 nonce, uint256 validAfter, uint256 validUntil)";
+
+const SESSION_GRANT_TUPLE =
+    "tuple(address owner, address sessionKey, uint256 validUntil, address[] targets, bytes4[] selectors, uint256 spendLimit, uint256 salt)";
+
+const BATCH_EXECUTOR_ABI = [
+    `function executeBatch(${FORWARD_REQUEST_TUPLE}[] requests, bytes[] signatures) external payable returns (bool[])`,
+    `function verify(${FORWARD_REQUEST_TUPLE} req, bytes signature) external view returns (bool)`,
+    `function executeSignedBatches(${FORWARD_BATCH_TUPLE}[] batches, bytes[] signatures) external payable returns (bool[][])`,
+    `function verifyBatch(${FORWARD_BATCH_TUPLE} batch, bytes signature) external view returns (bool)`,
+    `function hashSessionGrant(${SESSION_GRANT_TUPLE} grant) external view returns (bytes32)`,
+    "function sessionSpent(bytes32 grantId) external view returns (uint256)",
+    "function revokedSessions(address owner, bytes32 grantId) external view returns (bool)",
+    "function revokeSession(bytes32 grantId) external",
+    "function getNonce(address from) external view returns (uint256)",
+    "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+    "event RequestExecuted(address indexed from, address indexed to, uint256 nonce, bool success, uint256 gasUsed)",
+    "event BatchExecuted(address indexed relayer, uint256 totalRequests, uint256 successCount)",
+    "event SessionUsed(address indexed owner, bytes32 indexed grantId, uint256 amount)",
+    "event SessionRevoked(address indexed owner, bytes32 indexed grantId)"
+];
+
+// ERC-20 transfer, used for the relayer fee leg
+const FEE_TOKEN_ABI = [
+    "function transfer(address to, uint256 amount) external returns (bool)",
+    "function balanceOf(address account) external view returns (uint256)"
+];
+
+// ERC-20 metadata plus the two common ways a token names its trusted
+// forwarder (ERC-2771's isTrustedForwarder, SampleToken's public getter)
+const TOKEN_INFO_ABI = [
+    "function symbol() external view returns (string)",
+    "function decimals() external view returns (uint8)",
+    "function balanceOf(address account) external view returns (uint256)",
+    "function isTrustedForwarder(address forwarder) external view returns (bool)",
+    "function trustedForwarder() external view returns (address)"
+];
+
+// GasSponsor.sol: the relayer's claims plus the pool's status and owner
+// functions (sdk/sponsor.js, scripts/sponsor-admin.js)
+const GAS_SPONSOR_ABI = [
+    "function claim(address[] calldata users, uint256[] calldata amounts) external",
+    "function estimateReimbursement(address relayer, address[] calldata users, uint256[] calldata amounts) external view returns (uint256 reimbursement, bool wouldSucceed)",
+    "function deposit() external payable",
+    "function setRelayer(address relayer, bool status) external",
+    "function setLimits(uint256 maxPerClaim, uint256 dailyLimitPerRelayer, uint256 dailyLimitPerUser, uint256 globalDailyLimit) external",
+    "function setPaused(bool paused) external",
+    "function transferOwnership(address newOwner) external",
+    "function emergencyWithdraw() external",
+    "function owner() external view returns (address)",
+    "function paused() external view returns (bool)",
+    "function whitelistedRelayers(address relayer) external view returns (bool)",
+    "function maxPerClaim() external view returns (uint256)",
+    "function dailyLimitPerRelayer() external view returns (uint256)",
+    "function dailyLimitPerUser() external view returns (uint256)",
+    "function globalDailyLimit() external view returns (uint256)",
+    "function totalDeposited() external view returns (uint256)",
+    "function totalClaimed() external view returns (uint256)",
+    "function totalClaimCount() external view returns (uint256)",
+    "function getBalance() external view returns (uint256)",
+    "function getUserDailyRemaining(address user) external view returns (uint256)",
+    "function getGlobalDailyRemaining() external view returns (uint256)",
+    "function getRelayerDailyRemaining(address relayer) external view returns (uint256)",
+    "event Claimed(address indexed relayer, uint256 amount, address[] users, uint256[] amounts)",
+    "event RelayerStatusChanged(address indexed relayer, bool whitelisted)"
+];
+
+export {
+    EIP712_DOMAIN_TYPE,
+    FORWARD_REQUEST_TYPES,
+    FORWARD_BATCH_TYPES,
+    SESSION_GRANT_TYPES,
+    SESSION_GRANT_TUPLE,
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    BATCH_EXECUTOR_ABI,
+    FEE_TOKEN_ABI,
+    TOKEN_INFO_ABI,
+    GAS_SPONSOR_ABI
+};
@@ -0,0 +1,198 @@
+// sender-pool.js
+// Per-sender pending pool for the relayer.
+// Requests are grouped by sender and keyed by nonce, so a user can sign
+// nonces N, N+1, N+2... up front (what signBatchRequests does) and the
+// relayer submits them in order once the chain is ready for them.
+
+/**
+ * Holds queued records ({ id, request, signature, createdAt, ... }).
+ *
+ * A sender's requests are "ready" when they form a contiguous run starting
+ * at the sender's on-chain nonce. Anything after a gap is held back until
+ * the missing nonce arrives, or dropped once it has waited gapTimeoutMs.
+ */
+class SenderPool {
+    constructor(options = {}) {
+        // How far ahead of the on-chain nonce a request may be
+        this.nonceWindow = BigInt(options.nonceWindow || 16);
+        // How long a request may wait behind a missing nonce
+        this.gapTimeoutMs = options.gapTimeoutMs || 10 * 60 * 1000; // 10 minutes
+
+        // lowercase sender address => Map(nonce string => record)
+        this.senders = new Map();
+    }
+
+    get size() {
+        let total = 0;
+        for (const pending of this.senders.values()) total += pending.size;
+        return total;
+    }
+
+    /**
+     * Senders with at least one pending request (original casing).
+     */
+    senderAddresses() {
+        return [...this.senders.values()].map(pending => pending.values().next().value.request.from);
+    }
+
+    /**
+     * Number of pending requests from one sender.
+     */
+    sizeOf(from) {
+        const pending = this.senders.get(from.toLowerCase());
+        return pending ? pending.size : 0;
+    }
+
+    has(from, nonce) {
+        const pending = this.senders.get(from.toLowerCase());
+        return !!pending && pending.has(BigInt(nonce).toString());
+    }
+
+    /**
+     * Check that a nonce fits the acceptance window for this sender.
+     * Returns null if it does, otherwise the reason it doesn't.
+     */
+    checkNonce(from, nonce, onchainNonce) {
+        nonce = BigInt(nonce);
+
+        if (nonce < onchainNonce) {
+            return `Nonce ${nonce} already used (current nonce is ${onchainNonce})`;
+        }
+        if (nonce >= onchainNonce + this.nonceWindow) {
+            return `Nonce ${nonce} is too far ahead (current nonce is ${onchainNonce}, window is ${this.nonceWindow})`;
+        }
+        if (this.has(from, nonce)) {
+            return `Nonce ${nonce} already pending for ${from}`;
+        }
+        return null;
+    }
+
+    add(record) {
+        const sender = record.request.from.toLowerCase();
+        if (!this.senders.has(sender)) this.senders.set(sender, new Map());
+        this.senders.get(sender).set(BigInt(record.request.nonce).toString(), record);
+    }
+
+    addAll(records) {
+        for (const record of records) this.add(record);
+    }
+
+    remove(record) {
+        const sender = record.request.from.toLowerCase();
+        const pending = this.senders.get(sender);
+        if (!pending) return;
+
+        pending.delete(BigInt(record.request.nonce).toString());
+        if (pending.size === 0) this.senders.delete(sender);
+    }
+
+    /**
+     * All pending records, oldest first.
+     */
+    all() {
+        const records = [];
+        for (const pending of this.senders.values()) records.push(...pending.values());
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * 1-based position of a record in submission order, or null.
+     */
+    position(id) {
+        const index = this.all().findIndex(r => r.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Remove and return the next batch.
+     *
+     * @param maxSize       - Maximum number of records in the batch
+     * @param onchainNonces - Map(lowercase sender => current on-chain nonce)
+     * @param now           - Current time (ms), for gap expiry
+     * @param packer        - Optional BatchPacker; caps the batch's gas
+     * @param wholeRuns     - Take a sender's ready run entirely or not at
+     *                        all (token fee mode: the fee leg is signed last
+     *                        and must travel with what it pays for)
+     * @returns { batch, stale, expired, limited }
+     *   batch   - Ready records, each sender's run ordered by nonce
+     *   stale   - Records whose nonce was consumed elsewhere
+     *   expired - { record, missingNonce } for records that waited
+     *             behind a gap for too long
+     *   limited - Ready records were left for a later batch (size, gas,
+     *             or ForwardBatches and ForwardRequests not mixing)
+     */
+    take(maxSize, onchainNonces, now = Date.now(), packer = null, wholeRuns = false) {
+        const batch = [];
+        const stale = [];
+        const expired = [];
+        const budget = packer ? packer.start() : null;
+        let limited = false;
+
+        // Senders whose oldest request has waited longest go first, and
+        // those with deprioritized requests (over their sponsor budget) last
+        const senders = [...this.senders.entries()].sort(
+            ([, a], [, b]) => deprioritized(a) - deprioritized(b) || oldest(a) - oldest(b)
+        );
+
+        for (const [sender, pending] of senders) {
+            let expected = onchainNonces.get(sender);
+            if (expected === undefined) continue;
+
+            const ordered = [...pending.values()].sort((a, b) =>
+                BigInt(a.request.nonce) < BigInt(b.request.nonce) ? -1 : 1
+            );
+
+            // Once one of a sender's requests is left out, the rest of
+            // their run has to wait for the next batch too
+            let cut = false;
+            const run = [];
+
+            for (const record of ordered) {
+                const nonce = BigInt(record.request.nonce);
+
+                if (nonce < expected) {
+                    stale.push(record);
+                } else if (nonce === expected) {
+                    if (!cut && batch.length < maxSize && (!budget || budget.add(record.request))) {
+                        batch.push(record);
+                        run.push(record);
+                    } else {
+                        cut = true;
+                        limited = true;
+                    }
+                    expected++;
+                } else if (now - record.createdAt > this.gapTimeoutMs) {
+                    // Still waiting behind a missing nonce
+                    expired.push({ record, missingNonce: expected });
+                }
+            }
+
+            if (cut && wholeRuns) {
+                for (const record of run) {
+                    batch.splice(batch.indexOf(record), 1);
+                    if (budget) budget.remove(record.request);
+                }
+            }
+        }
+
+        for (const record of [...batch, ...stale]) this.remove(record);
+        for (const { record } of expired) this.remove(record);
+
+        return { batch, stale, expired, limited };
+    }
+}
+
+function deprioritized(pending) {
+    for (const record of pending.values()) {
+        if (record.deprioritized) return 1;
+    }
+    return 0;
+}
+
+function oldest(pending) {
+    let min = Infinity;
+    for (const record of pending.values()) min = Math.min(min, record.createdAt);
+    return min;
+}
+
+export { SenderPool };
@@ -2,10 +2,18 @@
 // Express server for the Batch Relay dApp
 
 import express from "express";
+import { ethers } from "ethers";
 import path from "path";
+import { createHash } from "crypto";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import { Relayer } from "./relayer.js";
+import { Relayer, RequestRejectedError, RELAY_EVENTS } from "./relayer.js";
+import { FileRequestStore } from "./request-store.js";
+import { loadRelayerKeys } from "./wallet-pool.js";
+import { RateLimiter } from "./rate-limiter.js";
+import { checkRelayBody, checkEstimateBody } from "./request-schema.js";
+import { RelayPolicy } from "./relay-policy.js";
+import { SponsorLedger } from "./sponsor-ledger.js";
 
 dotenv.config();
 
@@ -14,34 +22,213 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the
+// client's address and not the proxy's
+if (process.env.TRUST_PROXY) {
+    const hops = process.env.TRUST_PROXY;
+    app.set("trust proxy", /^\d+$/.test(hops) ? parseInt(hops) : hops === "true" || hops);
+}
+
 // Middleware
-app.use(express.json());
-app.use(express.static(path.join(__dirname)));
+app.use(express.json({ limit: process.env.MAX_BODY_SIZE || "64kb" }));
+
+// Only what the frontend loads is served as static files. The rest of the
+// repo directory holds relayer state (data/), deployment info and server
+// code, and the queue's signed requests could be copied and front-run.
+const STATIC_DIRS = [path.join(__dirname, "sdk")];
+app.use("/sdk", express.static(STATIC_DIRS[0]));
+app.get("/tokens.json", (req, res) => {
+    res.sendFile(path.join(__dirname, "tokens.json"));
+});
+
+/**
+ * Why `file` must not hold relayer state (it would be served to anyone),
+ * or null.
+ */
+function servedFileError(file, setting) {
+    const resolved = path.resolve(file);
+    const dir = STATIC_DIRS.find(dir => resolved.startsWith(dir + path.sep));
+    return dir ? `${setting} (${file}) is inside ${dir}, which is served as static files` : null;
+}
+
+// Trusted dApp backends authenticate with an X-API-Key header (one of
+// API_KEYS, comma-separated). They skip the per-IP limit, since one
+// backend relays for many users. REQUIRE_API_KEY=true refuses anonymous
+// calls altogether.
+const apiKeyHashes = new Set(
+    (process.env.API_KEYS || "").split(",").map(key => key.trim()).filter(Boolean).map(hashApiKey)
+);
+const requireApiKey = process.env.REQUIRE_API_KEY === "true";
+if (requireApiKey && apiKeyHashes.size === 0) {
+    console.warn("⚠ REQUIRE_API_KEY is set but API_KEYS is empty: every API call will be refused");
+}
+
+const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || "60000");
+const ipLimiter = new RateLimiter({
+    limit: parseInt(process.env.RATE_LIMIT_PER_IP || "60"),
+    windowMs: rateLimitWindowMs
+});
+
+// Open /api/events streams each hold a connection and a relayer listener
+// per event type, so their number is capped per IP and overall
+const maxEventStreams = parseInt(process.env.MAX_EVENT_STREAMS || "200");
+const maxEventStreamsPerIp = parseInt(process.env.MAX_EVENT_STREAMS_PER_IP || "4");
+const eventStreamsByIp = new Map();  // ip => open streams
+let openEventStreams = 0;
+
+function hashApiKey(key) {
+    return createHash("sha256").update(key).digest("hex");
+}
+
+function tooManyRequests(res, retryAfterMs, message) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ error: message });
+}
+
+// API key check and per-IP rate limit for the endpoints that cost RPC calls
+function guardApi(req, res, next) {
+    const apiKey = req.get("X-API-Key");
+    if (apiKey !== undefined) {
+        if (!apiKeyHashes.has(hashApiKey(apiKey))) {
+            return res.status(401).json({ error: "Invalid API key" });
+        }
+        return next();
+    }
+
+    if (requireApiKey) {
+        return res.status(401).json({ error: "Missing X-API-Key header" });
+    }
+
+    const retryAfterMs = ipLimiter.take(req.ip);
+    if (retryAfterMs > 0) {
+        return tooManyRequests(res, retryAfterMs, "Too many requests from this address");
+    }
+    next();
+}
+
+// Accounting endpoints: always need one of API_KEYS
+function requireKey(req, res, next) {
+    const apiKey = req.get("X-API-Key");
+    if (apiKey === undefined || !apiKeyHashes.has(hashApiKey(apiKey))) {
+        return res.status(401).json({ error: "A valid X-API-Key header is required" });
+    }
+    next();
+}
+
+// ?fromBlock / ?toBlock as block numbers (undefined if absent)
+function blockRange(query) {
+    const range = {};
+    for (const name of ["fromBlock", "toBlock"]) {
+        if (query[name] === undefined) continue;
+        if (!/^\d+$/.test(query[name])) throw new Error(`'${name}' must be a block number`);
+        range[name] = parseInt(query[name]);
+    }
+    return range;
+}
 
 // Initialize Relayer (if environment variables are set)
 let relayer = null;
 
-if (process.env.SEPOLIA_RPC_URL && process.env.RELAYER_PRIVATE_KEY && process.env.BATCH_EXECUTOR_ADDRESS) {
+// Relayer keys: RELAYER_PRIVATE_KEY, RELAYER_PRIVATE_KEYS (comma-separated)
+// and/or a directory of encrypted keystores
+let relayerKeys = [];
+try {
+    relayerKeys = await loadRelayerKeys({
+        privateKey: process.env.RELAYER_PRIVATE_KEY,
+        privateKeys: process.env.RELAYER_PRIVATE_KEYS,
+        keystoreDir: process.env.RELAYER_KEYSTORE_DIR,
+        keystorePassword: process.env.RELAYER_KEYSTORE_PASSWORD
+    });
+} catch (error) {
+    console.error("Failed to load relayer keys:", error.message);
+}
+
+// Allow/deny rules for what the relayer forwards (see relay-policy.js).
+// Edits to the file apply without a restart.
+let policy = null;
+if (process.env.POLICY_FILE) {
+    try {
+        policy = new RelayPolicy({ file: process.env.POLICY_FILE });
+        policy.watch();
+        console.log(`✓ Relay policy loaded from ${policy.file} (${policy.status().rules} rules)`);
+    } catch (error) {
+        // Starting without it would sponsor any call
+        console.error("Failed to load relay policy:", error.message);
+        process.exit(1);
+    }
+}
+
+// The queue holds signed requests and the ledger who was paid for; neither
+// may be reachable without an API key
+const queueFile = process.env.QUEUE_FILE || path.join(__dirname, "data", "relay-queue.jsonl");
+const ledgerFile = process.env.LEDGER_FILE || path.join(__dirname, "data", "sponsor-ledger.jsonl");
+for (const error of [servedFileError(queueFile, "QUEUE_FILE"), servedFileError(ledgerFile, "LEDGER_FILE")]) {
+    if (error) {
+        console.error(error);
+        process.exit(1);
+    }
+}
+
+if (process.env.SEPOLIA_RPC_URL && relayerKeys.length > 0 && process.env.BATCH_EXECUTOR_ADDRESS) {
     relayer = new Relayer({
         rpcUrl: process.env.SEPOLIA_RPC_URL,
-        relayerPrivateKey: process.env.RELAYER_PRIVATE_KEY,
+        relayerPrivateKeys: relayerKeys,
+        walletStrategy: process.env.RELAYER_ASSIGNMENT || "round-robin",
+        minWalletBalance: ethers.parseEther(process.env.RELAYER_MIN_BALANCE || "0.01"),
         batchExecutorAddress: process.env.BATCH_EXECUTOR_ADDRESS,
         gasSponsorAddress: process.env.GAS_SPONSOR_ADDRESS || null,
         maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE || "10"),
-        batchIntervalMs: parseInt(process.env.BATCH_INTERVAL_MS || "15000")
+        batchIntervalMs: parseInt(process.env.BATCH_INTERVAL_MS || "15000"),
+        nonceWindow: parseInt(process.env.NONCE_WINDOW || "16"),
+        gapTimeoutMs: parseInt(process.env.NONCE_GAP_TIMEOUT_MS || "600000"),
+        feeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT || "15"),
+        stuckTimeoutMs: parseInt(process.env.TX_STUCK_TIMEOUT_MS || "60000"),
+        maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || "3"),
+        batchGasBudget: parseInt(process.env.BATCH_GAS_BUDGET || "5000000"),
+        entryGasOverhead: process.env.ENTRY_GAS_OVERHEAD ? parseInt(process.env.ENTRY_GAS_OVERHEAD) : undefined,
+        feeMode: process.env.FEE_MODE || "sponsored",
+        feeToken: process.env.FEE_TOKEN || process.env.SAMPLE_TOKEN_ADDRESS,
+        feeRecipient: process.env.FEE_RECIPIENT || null,
+        feeTokenPerEth: ethers.parseUnits(process.env.FEE_TOKEN_PER_ETH || "1000", 18),
+        feeMarkupPercent: parseInt(process.env.FEE_MARKUP_PERCENT || "10"),
+        feeTolerancePercent: parseInt(process.env.FEE_TOLERANCE_PERCENT || "20"),
+        feeWaitMs: parseInt(process.env.FEE_WAIT_MS || "60000"),
+        minBatchSize: parseInt(process.env.MIN_BATCH_SIZE || "1"),
+        maxBaseFee: process.env.MAX_BASE_FEE_GWEI
+            ? ethers.parseUnits(process.env.MAX_BASE_FEE_GWEI, "gwei")
+            : null,
+        maxWaitMs: process.env.MAX_WAIT_MS ? parseInt(process.env.MAX_WAIT_MS) : null,
+        expiryMarginMs: parseInt(process.env.EXPIRY_MARGIN_MS || "15000"),
+        maxPendingPerSender: parseInt(process.env.MAX_PENDING_PER_SENDER || "16"),
+        senderRateLimit: parseInt(process.env.RATE_LIMIT_PER_SENDER || "30"),
+        rateLimitWindowMs,
+        policy,
+        budgetMode: process.env.SPONSOR_BUDGET_MODE || "reject",
+        requireReimbursement: process.env.REQUIRE_REIMBURSEMENT === "true",
+        minReimbursementCoverage: parseInt(process.env.MIN_REIMBURSEMENT_COVERAGE || "100"),
+        store: new FileRequestStore(queueFile, {
+            retentionMs: parseInt(process.env.REQUEST_RETENTION_MS || "604800000")
+        }),
+        pruneIntervalMs: parseInt(process.env.PRUNE_INTERVAL_MS || "3600000"),
+        ledger: new SponsorLedger({ file: ledgerFile })
     });
 
-    relayer.startAutoFlush();
-    console.log("✓ Relayer initialized and running");
+    // One listener per open /api/events stream, at most MAX_EVENT_STREAMS
+    relayer.setMaxListeners(maxEventStreams);
+
+    // Replays the persisted queue before flushing starts
+    relayer.start()
+        .then(() => console.log("✓ Relayer initialized and running"))
+        .catch((error) => console.error("Relayer failed to start:", error.message));
 } else {
     console.warn("⚠ Relayer not initialized. Missing environment variables:");
     console.warn("  - SEPOLIA_RPC_URL");
-    console.warn("  - RELAYER_PRIVATE_KEY");
+    console.warn("  - RELAYER_PRIVATE_KEY (or RELAYER_PRIVATE_KEYS / RELAYER_KEYSTORE_DIR)");
     console.warn("  - BATCH_EXECUTOR_ADDRESS");
 }
 
 // Routes
-app.get("/", (req, res) => {
+app.get(["/", "/index.html"], (req, res) => {
     res.sendFile(path.join(__dirname, "index.html"));
 });
 
@@ -49,52 +236,256 @@ app.get("/health", (req, res) => {
     res.json({
         status: "ok",
         relayer: relayer ? "initialized" : "not configured",
+        feeMode: relayer ? relayer.feeMode : null,
+        policy: policy ? policy.status() : null,
+        wallets: relayer ? relayer.wallets.status() : [],
         timestamp: new Date().toISOString()
     });
 });
 
-// API endpoint to submit a signed request to the relayer
-app.post("/api/relay", async (req, res) => {
+// API endpoint to submit a signed request to the relayer: either
+// { request, signature } (one ForwardRequest) or { batch, signature }
+// (a ForwardBatch — several calls under one signature)
+app.post("/api/relay", guardApi, async (req, res) => {
     if (!relayer) {
         return res.status(503).json({
             error: "Relayer not configured. Check environment variables."
         });
     }
 
-    try {
-        const { request, signature } = req.body;
+    // Malformed bodies never reach the RPC or the request store
+    const schemaError = checkRelayBody(req.body);
+    if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+    }
 
-        if (!request || !signature) {
-            return res.status(400).json({
-                error: "Missing 'request' or 'signature' in body"
-            });
-        }
+    try {
+        const { batch, signature, deadline } = req.body;
+        const request = req.body.request || batch;
 
-        // Add the signed request to the relayer queue
-        const result = await relayer.addRequest(request, signature);
+        // Add the signed request to the relayer queue. Refusals (bad
+        // signature, nonce conflict, sender limits...) carry their status.
+        const result = await relayer.addRequest(request, signature, { deadline });
 
         res.json({
+            id: result.id,
             status: result.status || "queued",
-            queueLength: relayer.pendingRequests.length,
+            sponsored: result.sponsored,
+            queueLength: relayer.queue.size,
             message: "Request added to batch queue"
         });
+    } catch (error) {
+        if (!(error instanceof RequestRejectedError)) {
+            return res.status(500).json({ error: error.message });
+        }
+        if (error.retryAfterMs) {
+            return tooManyRequests(res, error.retryAfterMs, error.message);
+        }
+        res.status(error.status).json({ error: error.message });
+    }
+});
+
+// Fee quote for a set of actions: /api/quote?gas=200000&gas=200000
+// (one `gas` per action). In token fee mode the response says how much
+// to transfer to whom in the fee leg; otherwise { mode: "sponsored" }.
+app.get("/api/quote", guardApi, async (req, res) => {
+    if (!relayer) {
+        return res.status(503).json({
+            error: "Relayer not configured. Check environment variables."
+        });
+    }
+
+    const gasLimits = [].concat(req.query.gas || []);
+    if (gasLimits.length === 0 || !gasLimits.every(gas => /^\d+$/.test(gas))) {
+        return res.status(400).json({
+            error: "Pass each action's gas limit as ?gas=<number>"
+        });
+    }
+
+    try {
+        res.json(await relayer.quote(gasLimits));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Simulate unsigned requests before signing: per-request gas and
+// predicted success, batch cost at current fees and sponsor coverage
+app.post("/api/estimate", guardApi, async (req, res) => {
+    if (!relayer) {
+        return res.status(503).json({
+            error: "Relayer not configured. Check environment variables."
+        });
+    }
+
+    // Same field checks as /api/relay, so bad input is a 400 and not a
+    // BigInt error from the simulation
+    const schemaError = checkEstimateBody(req.body, relayer.maxBatchSize);
+    if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+    }
+
+    try {
+        res.json(await relayer.estimate(req.body.requests));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API endpoint to look up a relayed request by the ID returned above
+app.get("/api/relay/:id", async (req, res) => {
+    if (!relayer) {
+        return res.status(503).json({
+            error: "Relayer not configured. Check environment variables."
+        });
+    }
+
+    try {
+        const status = await relayer.getRequestStatus(req.params.id);
+
+        if (!status) {
+            return res.status(404).json({ error: "Unknown request ID" });
+        }
+
+        res.json(status);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Server-Sent Events stream of relayer activity.
+// Optional ?sender=0x... limits the stream to events involving that address.
+app.get("/api/events", guardApi, (req, res) => {
+    if (!relayer) {
+        return res.status(503).json({
+            error: "Relayer not configured. Check environment variables."
+        });
+    }
+
+    // Keyed backends are exempt from the per-IP cap, as from the rate limit
+    const ipStreams = eventStreamsByIp.get(req.ip) || 0;
+    if (openEventStreams >= maxEventStreams) {
+        res.set("Retry-After", "30");
+        return res.status(503).json({ error: "Too many open event streams" });
+    }
+    if (req.get("X-API-Key") === undefined && ipStreams >= maxEventStreamsPerIp) {
+        return tooManyRequests(res, 30000, "Too many open event streams from this address");
+    }
+    openEventStreams++;
+    eventStreamsByIp.set(req.ip, ipStreams + 1);
+
+    const sender = typeof req.query.sender === "string" ? req.query.sender.toLowerCase() : null;
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+    });
+    res.flushHeaders();
+
+    const involvesSender = (payload) => {
+        if (!sender) return true;
+        if (payload.from) return payload.from.toLowerCase() === sender;
+        return (payload.senders || []).some(addr => addr.toLowerCase() === sender);
+    };
+
+    const listeners = RELAY_EVENTS.map((type) => {
+        const listener = (payload) => {
+            if (!involvesSender(payload)) return;
+            res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        };
+        relayer.on(type, listener);
+        return [type, listener];
+    });
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        for (const [type, listener] of listeners) relayer.off(type, listener);
+
+        openEventStreams--;
+        const remaining = eventStreamsByIp.get(req.ip) - 1;
+        if (remaining > 0) eventStreamsByIp.set(req.ip, remaining);
+        else eventStreamsByIp.delete(req.ip);
+    });
+});
+
+// Who GasSponsor paid for, one entry per claim (see sponsor-ledger.js).
+// ?format=csv for one row per user per claim; ?user=0x... and
+// ?fromBlock/?toBlock narrow it down.
+app.get("/api/ledger", requireKey, (req, res) => {
+    if (!relayer) {
+        return res.status(503).json({
+            error: "Relayer not configured. Check environment variables."
+        });
+    }
+
+    let range;
+    try {
+        range = blockRange(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const user = typeof req.query.user === "string" ? req.query.user : undefined;
+    const entries = relayer.ledger.list({ ...range, user });
+
+    if (req.query.format === "csv") {
+        res.set("Content-Type", "text/csv");
+        res.set("Content-Disposition", "attachment; filename=\"sponsor-ledger.csv\"");
+        return res.send(relayer.ledger.toCsv(entries));
+    }
+    res.json({ totals: relayer.ledger.totals(entries), entries });
+});
+
+// The ledger checked against GasSponsor's Claimed events
+app.get("/api/ledger/reconcile", requireKey, async (req, res) => {
+    if (!relayer || !relayer.gasSponsor) {
+        return res.status(503).json({
+            error: "Relayer or GasSponsor not configured. Check environment variables."
+        });
+    }
+
+    let range;
+    try {
+        range = blockRange(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json(await relayer.reconcileLedger(range));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body parser errors (malformed JSON, a body over MAX_BODY_SIZE) as JSON
+app.use((error, req, res, next) => {
+    const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+    res.status(status).json({ error: status === 500 ? "Internal server error" : error.message });
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`\n🚀 Server running at http://localhost:${PORT}`);
     console.log("\nEndpoints:");
     console.log(`  GET  /              - HTML interface`);
     console.log(`  GET  /health        - Health check`);
-    console.log(`  POST /api/relay     - Submit signed transaction\n`);
+    console.log(`  POST /api/relay     - Submit signed transaction`);
+    console.log(`  GET  /api/relay/:id - Request status`);
+    console.log(`  GET  /api/quote     - Relayer fee quote`);
+    console.log(`  POST /api/estimate  - Simulate unsigned requests`);
+    console.log(`  GET  /api/events    - Live relay events (SSE)`);
+    console.log(`  GET  /api/ledger    - Sponsorship ledger (API key)`);
+    console.log(`  GET  /api/ledger/reconcile - Ledger vs. Claimed events (API key)\n`);
 });
 
 // Graceful shutdown
 process.on("SIGINT", () => {
     console.log("\nShutting down gracefully...");
     if (relayer) relayer.stop();
+    if (policy) policy.close();
     process.exit(0);
 });
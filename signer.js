@@ -1,72 +1,38 @@
 // signer.js
 // This runs in the user's browser.
 // It creates ForwardRequests and gets the user to sign them.
-
-const EIP712_DOMAIN_TYPE = [
-    { name: "name", type: "string" },
-    { name: "version", type: "string" },
-    { name: "chainId", type: "uint256" },
-    { name: "verifyingContract", type: "address" }
-];
-
-const FORWARD_REQUEST_TYPE = [
-    { name: "from", type: "address" },
-    { name: "to", type: "address" },
-    { name: "value", type: "uint256" },
-    { name: "gas", type: "uint256" },
-    { name: "nonce", type: "uint256" },
-    { name: "data", type: "bytes" }
-];
-
-/**
- * Creates the EIP-712 domain data.
- * This MUST match what the smart contract uses in its constructor,
- * otherwise signatures won't verify.
- */
-function getDomain(batchExecutorAddress, chainId) {
-    return {
-        name: "BatchExecutor",
-        version: "1",
-        chainId: chainId,
-        verifyingContract: batchExecutorAddress
-    };
-}
-
-/**
- * Build a ForwardRequest object.
- * 
- * @param from     - User's wallet address
- * @param to       - Target contract to call (e.g., SampleToken address)
- * @param data     - Encoded function call (e.g., transfer(to, amount))
- * @param nonce    - User's current nonce from BatchExecutor
- * @param gasLimit - Gas limit for this specific call
- * @param value    - ETH to send (usually 0)
- */
-function buildRequest(from, to, data, nonce, gasLimit = 200000, value = 0) {
-    return {
-        from: from,
-        to: to,
-        value: value,
-        gas: gasLimit,
-        nonce: nonce,
-        data: data
-    };
-}
+//
+// The types, domain and signing logic live in sdk/ — these helpers keep
+// the original provider-based signatures on top of it.
+
+import {
+    EIP712_DOMAIN_TYPE,
+    FORWARD_REQUEST_TYPES,
+    getDomain,
+    buildRequest,
+    signRequest as signWithSigner,
+    signBatchRequests as signBatchWithSigner,
+    signBatchOnce as signOnceWithSigner,
+    createSession
+} from "./sdk/index.js";
+
+const FORWARD_REQUEST_TYPE = FORWARD_REQUEST_TYPES.ForwardRequest;
 
 /**
  * Ask the user's wallet to sign a ForwardRequest using EIP-712.
- * 
+ *
  * This is the KEY function. When called, MetaMask pops up and shows
  * the user a readable version of what they're signing:
- * 
+ *
  *   "BatchExecutor wants you to sign:
  *    from: 0xYourAddress
  *    to: 0xTokenAddress
  *    nonce: 3
- *    data: 0xa9059cbb..."
- * 
+ *    data: 0xa9059cbb...
+ *    validUntil: 1760003600"
+ *
  * The user clicks "Sign" — no gas paid!
- * 
+ *
  * @param provider  - ethers.js BrowserProvider (connected to MetaMask)
  * @param request   - The ForwardRequest object
  * @param batchExecutorAddress - Address of the deployed BatchExecutor
@@ -75,22 +41,15 @@ function buildRequest(from, to, data, nonce, gasLimit = 200000, value = 0) {
  */
 async function signRequest(provider, request, batchExecutorAddress, chainId) {
     const signer = await provider.getSigner();
-    const domain = getDomain(batchExecutorAddress, chainId);
 
     // EIP-712 typed data signing
     // This uses eth_signTypedData_v4 under the hood
-    const signature = await signer.signTypedData(
-        domain,                              // Domain (binds to contract + chain)
-        { ForwardRequest: FORWARD_REQUEST_TYPE }, // Type definitions
-        request                              // The actual data to sign
-    );
-
-    return signature;
+    return await signWithSigner(signer, getDomain(batchExecutorAddress, chainId), request);
 }
 
 /**
  * Helper: Encode a function call to use as the `data` field.
- * 
+ *
  * Example: To encode "transfer(0xBob, 1000)", you'd do:
  *   const iface = new ethers.Interface(tokenABI);
  *   const data = iface.encodeFunctionData("transfer", [bobAddress, 1000]);
@@ -101,7 +60,7 @@ function encodeFunctionCall(contractInterface, functionName, args) {
 
 /**
  * FULL FLOW: Sign multiple requests for batching.
- * 
+ *
  * This is what the frontend calls. It:
  * 1. Gets the user's current nonce
  * 2. Builds a request for each action
@@ -113,43 +72,93 @@ async function signBatchRequests(
     batchExecutorContract,  // ethers.Contract instance
     batchExecutorAddress,
     chainId,
-    actions  // Array of { to, data, gasLimit?, value? }
+    actions,  // Array of { to, data, gasLimit?, value? }
+    validity  // Optional { validAfter, validUntil } in unix seconds
 ) {
     const signer = await provider.getSigner();
-    const userAddress = await signer.getAddress();
 
-    // Get current nonce from the contract
-    let currentNonce = await batchExecutorContract.getNonce(userAddress);
-    currentNonce = Number(currentNonce);
+    // MetaMask popup for each — signBatchOnce() below needs just one
+    return await signBatchWithSigner(
+        signer,
+        batchExecutorContract,
+        getDomain(batchExecutorAddress, chainId),
+        actions,
+        undefined,
+        validity
+    );
+}
 
-    const requests = [];
-    const signatures = [];
+/**
+ * FULL FLOW, one popup: sign every action as a single ForwardBatch.
+ *
+ * The whole batch uses one nonce and one signature; the relayer submits
+ * it through executeSignedBatches(). Returns { batch, signature }.
+ */
+async function signBatchOnce(
+    provider,
+    batchExecutorContract,  // ethers.Contract instance
+    batchExecutorAddress,
+    chainId,
+    actions,  // Array of { to, data, gasLimit?, value? }
+    validity  // Optional { validAfter, validUntil } in unix seconds
+) {
+    const signer = await provider.getSigner();
 
-    for (let i = 0; i < actions.length; i++) {
-        const action = actions[i];
+    return await signOnceWithSigner(
+        signer,
+        batchExecutorContract,
+        getDomain(batchExecutorAddress, chainId),
+        actions,
+        validity
+    );
+}
 
-        // Build the request with incrementing nonce
-        const request = buildRequest(
-            userAddress,
-            action.to,
-            action.data,
-            currentNonce + i,       // Each request gets the next nonce
-            action.gasLimit || 200000,
-            action.value || 0
-        );
+/**
+ * Start a session key: one MetaMask popup to sign a SessionGrant, after
+ * which signWithSession() signs without any.
+ *
+ * @param options - { validUntil, targets, selectors?, spendLimit } —
+ *                  see buildSessionGrant() in sdk/sessions.js
+ * @returns       - SessionSigner holding the ephemeral key
+ */
+async function startSession(provider, batchExecutorAddress, chainId, options) {
+    const signer = await provider.getSigner();
 
-        // Sign it (MetaMask popup for each — in production you'd
-        // use a session key or batch signing to reduce popups)
-        const signature = await signRequest(
-            provider,
-            request,
-            batchExecutorAddress,
-            chainId
-        );
+    return await createSession(signer, getDomain(batchExecutorAddress, chainId), options);
+}
 
-        requests.push(request);
-        signatures.push(signature);
-    }
+/**
+ * FULL FLOW, no popups: sign one request per action with a session key.
+ * Each signature carries the grant, so BatchExecutor checks the action
+ * against it. Returns { requests, signatures } like signBatchRequests().
+ */
+async function signWithSession(
+    session,                // SessionSigner from startSession()
+    batchExecutorContract,  // ethers.Contract instance
+    batchExecutorAddress,
+    chainId,
+    actions,  // Array of { to, data, gasLimit? } — no ETH value
+    validity  // Optional { validAfter, validUntil } in unix seconds
+) {
+    return await signBatchWithSigner(
+        session,
+        batchExecutorContract,
+        getDomain(batchExecutorAddress, chainId),
+        actions,
+        undefined,
+        validity
+    );
+}
 
-    return { requests, signatures };
-}
\ No newline at end of file
+export {
+    EIP712_DOMAIN_TYPE,
+    FORWARD_REQUEST_TYPE,
+    getDomain,
+    buildRequest,
+    signRequest,
+    encodeFunctionCall,
+    signBatchRequests,
+    signBatchOnce,
+    startSession,
+    signWithSession
+};
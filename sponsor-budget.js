@@ -0,0 +1,252 @@
+// sponsor-budget.js
+// GasSponsor's daily limits, tracked off-chain.
+//
+// GasSponsor.claim() charges each user in a claim the amount the relayer
+// names for them and reverts the whole claim if any one of them is over
+// dailyLimitPerUser. The relayer mirrors that accounting: each sponsored
+// request reserves its worst-case cost against its sender (and the global
+// limit) when it is queued, on top of what the contract reports as left
+// for the day. After a batch, each user's amount is their share of the gas
+// the batch used (see gasShares), cut to what they have left, so one user
+// over budget doesn't cost everyone else their reimbursement.
+//
+// Days follow the contract: block.timestamp / 1 days, i.e. UTC days.
+
+import { ethers } from "ethers";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What happens to a request its sender's budget can't cover
+const BUDGET_MODES = ["reject", "deprioritize", "unsponsored", "off"];
+
+function dayOf(now) {
+    return Math.floor(now / DAY_MS);
+}
+
+/**
+ * Gas each sender's sponsored requests account for: what the request used
+ * in its batch (record.gasUsed, from the receipt — see
+ * Relayer.applyReceipt) or, before it has run, its worst case.
+ *
+ * @returns { total, sponsored } — total: gas of all the records;
+ *          sponsored: Map of checksummed address => gas
+ */
+function gasShares(records, packer) {
+    let total = 0n;
+    const sponsored = new Map();
+    for (const record of records) {
+        const gas = record.gasUsed !== undefined && record.gasUsed !== null
+            ? BigInt(record.gasUsed)
+            : packer.entryGas(record.request);
+        total += gas;
+
+        if (record.sponsored === false) continue;
+        const user = ethers.getAddress(record.request.from);
+        sponsored.set(user, (sponsored.get(user) || 0n) + gas);
+    }
+    return { total, sponsored };
+}
+
+/**
+ * Split `cost` in proportion to gas: each user in `shares` (address =>
+ * gas) gets cost × gas / total. Gas outside `shares` (unsponsored
+ * requests) leaves its part of the cost with the relayer.
+ *
+ * @returns { users, amounts } — for GasSponsor.claim/estimateReimbursement
+ */
+function splitCost(cost, shares, total) {
+    total = total ?? [...shares.values()].reduce((sum, gas) => sum + gas, 0n);
+    const users = [];
+    const amounts = [];
+    for (const [user, gas] of shares) {
+        users.push(user);
+        amounts.push(total > 0n ? cost * gas / total : 0n);
+    }
+    return { users, amounts };
+}
+
+class SponsorBudget {
+    /**
+     * @param options - {
+     *   sponsor   - GasSponsor contract (read-only)
+     *   feeSource - { getFees() => { baseFee, priorityFee } }
+     *   packer    - BatchPacker, for each request's worst-case gas
+     *   cacheMs   - How long on-chain remaining amounts are reused (default 60s)
+     * }
+     */
+    constructor(options) {
+        this.sponsor = options.sponsor;
+        this.feeSource = options.feeSource;
+        this.packer = options.packer;
+        this.cacheMs = options.cacheMs ?? 60000;
+
+        // What the contract says is left today:
+        // lowercase user (or "global") => { day, remaining, fetchedAt }
+        this.remaining = new Map();
+
+        // Costs of queued sponsored requests: record ID => { user, cost, day }
+        this.reserved = new Map();
+    }
+
+    /**
+     * ms until the sponsor's daily limits reset.
+     */
+    msUntilReset(now = Date.now()) {
+        return (dayOf(now) + 1) * DAY_MS - now;
+    }
+
+    /**
+     * Worst-case cost of a request at the current gas price: every call
+     * using its whole `gas` (see BatchPacker.entryGas).
+     */
+    async costOf(request) {
+        const fees = await this.feeSource.getFees();
+        return this.packer.entryGas(request) * (fees.baseFee + fees.priorityFee);
+    }
+
+    /**
+     * On-chain remaining amount for a user (or "global"), cached for the
+     * day and up to cacheMs.
+     */
+    async onchainRemaining(key, now = Date.now()) {
+        const cached = this.remaining.get(key);
+        if (cached && cached.day === dayOf(now) && now - cached.fetchedAt < this.cacheMs) {
+            return cached.remaining;
+        }
+
+        const remaining = key === "global"
+            ? await this.sponsor.getGlobalDailyRemaining()
+            : await this.sponsor.getUserDailyRemaining(key);
+        this.remaining.set(key, { day: dayOf(now), remaining, fetchedAt: now });
+        return remaining;
+    }
+
+    /**
+     * Sum of today's reservations, for one user or (null) everyone.
+     */
+    reservedFor(user, now = Date.now()) {
+        const today = dayOf(now);
+        let total = 0n;
+        for (const entry of this.reserved.values()) {
+            if (entry.day !== today) continue;
+            if (user === null || entry.user === user) total += entry.cost;
+        }
+        return total;
+    }
+
+    /**
+     * Whether `request` fits its sender's and the global budget, counting
+     * what is already reserved.
+     *
+     * @returns { cost, reason } — reason is null if it fits
+     */
+    async check(request, now = Date.now()) {
+        const user = request.from.toLowerCase();
+        const cost = await this.costOf(request);
+
+        const userLeft = await this.onchainRemaining(user, now) - this.reservedFor(user, now);
+        if (cost > userLeft) {
+            return {
+                cost,
+                reason: `Sponsor budget for ${request.from} is used up for today ` +
+                    `(needs ${ethers.formatEther(cost)} ETH, ${ethers.formatEther(userLeft > 0n ? userLeft : 0n)} ETH left)`
+            };
+        }
+
+        const globalLeft = await this.onchainRemaining("global", now) - this.reservedFor(null, now);
+        if (cost > globalLeft) {
+            return { cost, reason: "Sponsor's global daily budget is used up" };
+        }
+
+        return { cost, reason: null };
+    }
+
+    /**
+     * Hold a queued record's cost (record.sponsorCost) against its sender.
+     */
+    reserve(record, now = Date.now()) {
+        if (record.sponsored === false || !record.sponsorCost) return;
+        this.reserved.set(record.id, {
+            user: record.request.from.toLowerCase(),
+            cost: BigInt(record.sponsorCost),
+            day: dayOf(now)
+        });
+    }
+
+    release(record) {
+        this.reserved.delete(record.id);
+    }
+
+    /**
+     * A batch is done (claimed or not): drop its reservations and re-read
+     * its senders' remaining amounts, which now include any claim.
+     */
+    settle(records) {
+        for (const record of records) {
+            this.reserved.delete(record.id);
+            this.remaining.delete(record.request.from.toLowerCase());
+        }
+        this.remaining.delete("global");
+    }
+
+    /**
+     * Decide who to claim how much for after a batch. Each sponsored
+     * user's cost is their gas share of `gasCost`; the claim asks for that
+     * cut to what they have left today (fresh on-chain reads), leaving out
+     * users with nothing left. If the total is over maxPerClaim, the
+     * global or relayer daily limit or the pool balance, every amount is
+     * scaled down by the same ratio, so the contract pays exactly the
+     * amounts asked for.
+     *
+     * @returns { amount, shares, excluded } — shares: [{ user, gas, cost,
+     *          amount }], in claim order; excluded: [{ user, reason }]
+     */
+    async planClaim(records, gasCost, relayer) {
+        const { total, sponsored } = gasShares(records, this.packer);
+
+        const excluded = [];
+        for (const user of new Set(records.map(record => ethers.getAddress(record.request.from)))) {
+            if (!sponsored.has(user)) excluded.push({ user, reason: "Not sponsored" });
+        }
+        if (total === 0n || sponsored.size === 0) return { amount: 0n, shares: [], excluded };
+
+        const [maxPerClaim, globalLeft, relayerLeft, balance] = await Promise.all([
+            this.sponsor.maxPerClaim(),
+            this.sponsor.getGlobalDailyRemaining(),
+            this.sponsor.getRelayerDailyRemaining(relayer),
+            this.sponsor.getBalance()
+        ]);
+
+        const { users, amounts: costs } = splitCost(gasCost, sponsored, total);
+        let shares = [];
+        for (let i = 0; i < users.length; i++) {
+            const left = await this.sponsor.getUserDailyRemaining(users[i]);
+            if (left === 0n && costs[i] > 0n) {
+                excluded.push({ user: users[i], reason: "Over daily sponsor limit (0 ETH left)" });
+                continue;
+            }
+            shares.push({
+                user: users[i],
+                gas: sponsored.get(users[i]),
+                cost: costs[i],
+                amount: costs[i] < left ? costs[i] : left
+            });
+        }
+
+        let amount = shares.reduce((sum, share) => sum + share.amount, 0n);
+        let cap = amount;
+        for (const limit of [maxPerClaim, globalLeft, relayerLeft, balance]) {
+            if (limit < cap) cap = limit;
+        }
+        if (cap < amount) {
+            for (const share of shares) share.amount = share.amount * cap / amount;
+            amount = shares.reduce((sum, share) => sum + share.amount, 0n);
+        }
+
+        // Nothing to claim for these (no gas, or scaled down to 0 wei)
+        shares = shares.filter(share => share.amount > 0n);
+        return { amount, shares, excluded };
+    }
+}
+
+export { SponsorBudget, BUDGET_MODES, gasShares, splitCost };
@@ -0,0 +1,226 @@
+// sponsor-ledger.js
+// Who GasSponsor paid for, how much, and for which batch.
+//
+// Every successful claim adds one entry, with the amounts the Claimed
+// event reports for each user alongside the gas and cost the relayer
+// attributed to them and the requests they had in the batch:
+//
+//   { claimTxHash, batchTxHash, blockNumber, relayer, gasCost, amount,
+//     claimedAt, shares: [{ user, gas, cost, amount, requestIds }],
+//     unsponsored: [{ user, reason }] }
+//
+// Amounts are wei (decimal strings in the file). reconcile() compares the
+// entries with Claimed events read from the chain, so an export can be
+// checked against what the contract actually paid.
+
+import fs from "fs";
+import path from "path";
+
+// Columns of the CSV export, one row per user per claim
+const CSV_COLUMNS = [
+    "claimedAt", "blockNumber", "claimTxHash", "batchTxHash", "relayer",
+    "user", "gas", "cost", "amount", "requestIds"
+];
+
+function serialize(entry) {
+    return JSON.stringify(entry, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+    );
+}
+
+function csvField(value) {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SponsorLedger {
+    /**
+     * @param options - {
+     *   file - JSON-lines file the entries are appended to (memory-only
+     *          if not set)
+     * }
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.entries = [];
+        this.handle = null;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the entries written so far. A torn last line from a crash is
+     * skipped; reconcile() reports the claim it belonged to as missing.
+     */
+    async load() {
+        if (!this.file) return this.entries;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+        const content = fs.existsSync(this.file)
+            ? await fs.promises.readFile(this.file, "utf8")
+            : "";
+
+        this.entries = [];
+        for (const line of content.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                this.entries.push(JSON.parse(line));
+            } catch (e) {
+                console.warn(`Skipping corrupt ledger entry in ${this.file}`);
+            }
+        }
+        return this.entries;
+    }
+
+    /**
+     * Add a claim. Resolves once it is fsync'd to the file.
+     */
+    record(entry) {
+        const stored = JSON.parse(serialize(entry));
+        this.entries.push(stored);
+        if (!this.file) return Promise.resolve(stored);
+
+        const write = this.writeChain.then(async () => {
+            if (!this.handle) {
+                this.handle = await fs.promises.open(this.file, "a");
+            }
+            await this.handle.appendFile(serialize(stored) + "\n");
+            await this.handle.sync();
+            return stored;
+        });
+
+        // A failed write is reported to its caller but must not block later ones
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Entries in a block range, optionally only the shares of one user.
+     *
+     * @param filter - { fromBlock, toBlock, user }
+     */
+    list(filter = {}) {
+        const user = filter.user ? filter.user.toLowerCase() : null;
+        return this.entries
+            .filter(entry =>
+                (filter.fromBlock === undefined || entry.blockNumber >= filter.fromBlock) &&
+                (filter.toBlock === undefined || entry.blockNumber <= filter.toBlock))
+            .map(entry => user
+                ? { ...entry, shares: entry.shares.filter(share => share.user.toLowerCase() === user) }
+                : entry)
+            .filter(entry => !user || entry.shares.length > 0);
+    }
+
+    /**
+     * Sums over `entries`: what was claimed, in total and per user.
+     */
+    totals(entries = this.entries) {
+        let amount = 0n;
+        let gasCost = 0n;
+        const users = new Map();
+        for (const entry of entries) {
+            gasCost += BigInt(entry.gasCost);
+            for (const share of entry.shares) {
+                amount += BigInt(share.amount);
+                users.set(share.user, (users.get(share.user) || 0n) + BigInt(share.amount));
+            }
+        }
+        return {
+            claims: entries.length,
+            gasCost: gasCost.toString(),
+            amount: amount.toString(),
+            users: Object.fromEntries([...users].map(([user, total]) => [user, total.toString()]))
+        };
+    }
+
+    /**
+     * `entries` as CSV, one row per user per claim.
+     */
+    toCsv(entries = this.entries) {
+        const rows = [CSV_COLUMNS.join(",")];
+        for (const entry of entries) {
+            for (const share of entry.shares) {
+                const row = {
+                    ...entry,
+                    ...share,
+                    claimedAt: new Date(entry.claimedAt).toISOString(),
+                    requestIds: (share.requestIds || []).join(" ")
+                };
+                rows.push(CSV_COLUMNS.map(column => csvField(row[column])).join(","));
+            }
+        }
+        return rows.join("\n") + "\n";
+    }
+
+    /**
+     * Compare the ledger with Claimed events from the chain over a block
+     * range. Balanced when every event has an entry with the same total
+     * and per-user amounts, and every entry in the range has its event.
+     *
+     * @param events - [{ txHash, blockNumber, relayer, amount, users, amounts }]
+     * @param range  - { fromBlock, toBlock }
+     * @returns { balanced, ledger, onchain, missingInLedger, missingOnChain, mismatched }
+     */
+    reconcile(events, range) {
+        const entries = new Map(this.list(range).map(entry => [entry.claimTxHash.toLowerCase(), entry]));
+        const seen = new Set();
+
+        const missingInLedger = [];
+        const mismatched = [];
+        let onchain = 0n;
+        for (const event of events) {
+            const txHash = event.txHash.toLowerCase();
+            const entry = entries.get(txHash);
+            onchain += BigInt(event.amount);
+            seen.add(txHash);
+
+            if (!entry) {
+                missingInLedger.push({ txHash: event.txHash, blockNumber: event.blockNumber, amount: event.amount.toString() });
+                continue;
+            }
+
+            const expected = new Map(event.users.map((user, i) => [user.toLowerCase(), BigInt(event.amounts[i])]));
+            const differences = [];
+            if (BigInt(entry.amount) !== BigInt(event.amount)) {
+                differences.push(`total ${entry.amount} in the ledger, ${event.amount} on-chain`);
+            }
+            for (const share of entry.shares) {
+                const paid = expected.get(share.user.toLowerCase());
+                if (paid === undefined) {
+                    differences.push(`${share.user} is not in the on-chain claim`);
+                } else if (paid !== BigInt(share.amount)) {
+                    differences.push(`${share.user}: ${share.amount} in the ledger, ${paid} on-chain`);
+                }
+                expected.delete(share.user.toLowerCase());
+            }
+            for (const user of expected.keys()) {
+                differences.push(`${user} is missing from the ledger entry`);
+            }
+            if (differences.length > 0) mismatched.push({ txHash: event.txHash, differences });
+        }
+
+        const missingOnChain = [...entries.values()]
+            .filter(entry => !seen.has(entry.claimTxHash.toLowerCase()))
+            .map(entry => ({ txHash: entry.claimTxHash, blockNumber: entry.blockNumber, amount: entry.amount }));
+
+        return {
+            balanced: missingInLedger.length === 0 && missingOnChain.length === 0 && mismatched.length === 0,
+            fromBlock: range.fromBlock,
+            toBlock: range.toBlock,
+            ledger: this.totals([...entries.values()]).amount,
+            onchain: onchain.toString(),
+            missingInLedger,
+            missingOnChain,
+            mismatched
+        };
+    }
+
+    async close() {
+        await this.writeChain;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+export { SponsorLedger };
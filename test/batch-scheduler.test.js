@@ -0,0 +1,145 @@
+// test/batch-scheduler.test.js
+// BatchScheduler flush policies against a stub fee source and sponsor
+//
+// Usage:
+//   npm run test:unit
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { BatchScheduler } from "../batch-scheduler.js";
+
+const NOW = 1_700_000_000_000;
+const GWEI = 10n ** 9n;
+const SENDER = "0x1111111111111111111111111111111111111111";
+const RELAYER = "0x2222222222222222222222222222222222222222";
+
+/**
+ * Fee source returning fixed fees, counting how often it was read.
+ */
+function stubFees(baseFeeGwei, priorityFeeGwei = 1n) {
+    return {
+        calls: 0,
+        async getFees() {
+            this.calls++;
+            return { baseFee: baseFeeGwei * GWEI, priorityFee: priorityFeeGwei * GWEI };
+        }
+    };
+}
+
+function records(count, options = {}) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `r${i}`,
+        request: { from: SENDER, nonce: String(i), validAfter: "0", validUntil: "0" },
+        createdAt: options.createdAt ?? NOW,
+        deadline: options.deadline ?? null
+    }));
+}
+
+test("flushes a full batch without waiting for minBatchSize", async () => {
+    const scheduler = new BatchScheduler({ maxBatchSize: 3, minBatchSize: 5 });
+
+    const full = await scheduler.shouldFlush(records(3), NOW);
+    assert.equal(full.flush, true);
+    assert.equal(full.urgent, false);
+    assert.equal(full.reason, "Batch full");
+
+    const partial = await scheduler.shouldFlush(records(2), NOW);
+    assert.equal(partial.flush, false);
+    assert.equal(partial.reason, "2 ready, waiting for 5");
+});
+
+test("flushes requests that have waited maxWaitMs", async () => {
+    const scheduler = new BatchScheduler({ minBatchSize: 5, maxWaitMs: 60000 });
+
+    const fresh = await scheduler.shouldFlush(records(1, { createdAt: NOW - 59999 }), NOW);
+    assert.equal(fresh.flush, false);
+
+    const waited = await scheduler.shouldFlush(records(1, { createdAt: NOW - 60000 }), NOW);
+    assert.equal(waited.flush, true);
+    assert.equal(waited.urgent, true);
+});
+
+test("holds back while the base fee is above maxBaseFee", async () => {
+    const fees = stubFees(30n);
+    const scheduler = new BatchScheduler({ feeSource: fees, maxBaseFee: 20n * GWEI });
+
+    const expensive = await scheduler.shouldFlush(records(2), NOW);
+    assert.equal(expensive.flush, false);
+    assert.equal(expensive.reason, "Base fee 30.0 gwei above cap of 20.0 gwei");
+    assert.equal(expensive.fees.baseFee, 30n * GWEI);
+
+    const cheap = new BatchScheduler({ feeSource: stubFees(10n), maxBaseFee: 20n * GWEI });
+    const decision = await cheap.shouldFlush(records(2), NOW);
+    assert.equal(decision.flush, true);
+    assert.equal(decision.fees.baseFee, 10n * GWEI);
+});
+
+test("forces a flush at a deadline whatever the base fee", async () => {
+    const fees = stubFees(500n);
+    const scheduler = new BatchScheduler({
+        feeSource: fees,
+        maxBaseFee: 20n * GWEI,
+        minBatchSize: 5,
+        deadlineMarginMs: 30000
+    });
+
+    const early = await scheduler.shouldFlush(records(1, { deadline: NOW + 30001 }), NOW);
+    assert.equal(early.flush, false);
+
+    const due = await scheduler.shouldFlush(records(1, { deadline: NOW + 30000 }), NOW);
+    assert.equal(due.flush, true);
+    assert.equal(due.urgent, true);
+    assert.equal(due.fees, null);
+    assert.equal(fees.calls, 0);
+});
+
+test("needs the sponsor to cover minCoverage of the batch", async () => {
+    const sponsor = {
+        reimbursement: 0n,
+        async estimateReimbursement() {
+            return [this.reimbursement, true];
+        }
+    };
+    const scheduler = new BatchScheduler({
+        feeSource: stubFees(10n, 0n),
+        sponsor,
+        requireReimbursement: true,
+        minCoverage: 80
+    });
+    const shares = { total: 100000n, sponsored: new Map([[ethers.getAddress(SENDER), 100000n]]) };
+    const cost = 100000n * 10n * GWEI;
+
+    sponsor.reimbursement = cost * 79n / 100n;
+    const short = await scheduler.checkReimbursement(100000n, RELAYER, shares);
+    assert.equal(short.covered, false);
+    assert.equal(short.cost, cost);
+
+    sponsor.reimbursement = cost * 80n / 100n;
+    const enough = await scheduler.checkReimbursement(100000n, RELAYER, shares);
+    assert.equal(enough.covered, true);
+});
+
+test("a deadline doesn't skip the reimbursement check", async () => {
+    const sponsor = {
+        async estimateReimbursement() {
+            return [0n, true];
+        }
+    };
+    const scheduler = new BatchScheduler({
+        feeSource: stubFees(10n, 0n),
+        sponsor,
+        requireReimbursement: true,
+        deadlineMarginMs: 30000
+    });
+    const [record] = records(1, { deadline: NOW + 30000 });
+    const shares = { total: 100000n, sponsored: new Map([[ethers.getAddress(SENDER), 100000n]]) };
+
+    const decision = await scheduler.shouldFlush([record], NOW);
+    assert.equal(decision.urgent, true);
+
+    const coverage = await scheduler.checkReimbursement(100000n, RELAYER, shares, decision.fees);
+    assert.equal(coverage.covered, false);
+    assert.equal(scheduler.isDue(record, NOW), true);
+    assert.equal(scheduler.isDue(record, NOW - 1), false);
+});
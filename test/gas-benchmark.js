@@ -12,6 +12,18 @@ import * as fs from "fs";
 import * as path from "path";
 import { fileURLToPath } from "url";
 import "dotenv/config.js";
+import {
+    getDomain,
+    buildRequest,
+    signRequest,
+    buildBatch,
+    signForwardBatch,
+    createSession,
+    signSessionGrant,
+    hashSessionGrant,
+    encodeSessionSignature,
+    FORWARD_REQUEST_TYPES
+} from "../sdk/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -22,35 +34,10 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const RPC_URL = process.env.SEPOLIA_RPC_URL || "http://127.0.0.1:8545";
 const PRIVATE_KEY = process.env.DEPLOYER_PRIVATE_KEY;
 
-// EIP-712 types
-const FORWARD_REQUEST_TYPES = {
-    ForwardRequest: [
-        { name: "from", type: "address" },
-        { name: "to", type: "address" },
-        { name: "value", type: "uint256" },
-        { name: "gas", type: "uint256" },
-        { name: "nonce", type: "uint256" },
-        { name: "data", type: "bytes" }
-    ]
-};
-
 // ═══════════════════════════════════════════════════════════════════
 //  HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════
 
-function getEIP712Domain(batchExecutorAddress, chainId) {
-    return {
-        name: "BatchExecutor",
-        version: "1",
-        chainId: chainId,
-        verifyingContract: batchExecutorAddress
-    };
-}
-
-async function signForwardRequest(signer, domain, request) {
-    return await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
-}
-
 function formatGas(gas) {
     return Number(gas).toLocaleString();
 }
@@ -129,27 +116,25 @@ async function testSignatureVerification(signer, batchExecutor, token, batchAddr
     console.log("═══════════════════════════════════════════════════════\n");
 
     const userAddress = await signer.getAddress();
-    const domain = getEIP712Domain(batchAddr, chainId);
+    const domain = getDomain(batchAddr, chainId);
     const tokenIface = new ethers.Interface([
         "function transfer(address to, uint256 amount) returns (bool)"
     ]);
 
     // Build a request
     const nonce = Number(await batchExecutor.getNonce(userAddress));
-    const request = {
-        from: userAddress,
-        to: tokenAddr,
-        value: 0,
-        gas: 200000,
-        nonce: nonce,
-        data: tokenIface.encodeFunctionData("transfer", [
+    const request = buildRequest(
+        userAddress,
+        tokenAddr,
+        tokenIface.encodeFunctionData("transfer", [
             "0x0000000000000000000000000000000000000001",
             ethers.parseUnits("10", 18)
-        ])
-    };
+        ]),
+        nonce
+    );
 
     // Sign it
-    const signature = await signForwardRequest(signer, domain, request);
+    const signature = await signRequest(signer, domain, request);
     console.log(`  Request nonce: ${nonce}`);
     console.log(`  Signature: ${signature.slice(0, 20)}...`);
 
@@ -176,7 +161,7 @@ async function testNonceProtection(signer, batchExecutor, token, batchAddr, toke
     console.log("═══════════════════════════════════════════════════════\n");
 
     const userAddress = await signer.getAddress();
-    const domain = getEIP712Domain(batchAddr, chainId);
+    const domain = getDomain(batchAddr, chainId);
     const tokenIface = new ethers.Interface([
         "function transfer(address to, uint256 amount) returns (bool)"
     ]);
@@ -185,19 +170,17 @@ async function testNonceProtection(signer, batchExecutor, token, batchAddr, toke
     console.log(`  Current nonce: ${nonce}`);
 
     // Create and sign a valid request
-    const request = {
-        from: userAddress,
-        to: tokenAddr,
-        value: 0,
-        gas: 200000,
-        nonce: nonce,
-        data: tokenIface.encodeFunctionData("transfer", [
+    const request = buildRequest(
+        userAddress,
+        tokenAddr,
+        tokenIface.encodeFunctionData("transfer", [
             "0x0000000000000000000000000000000000000002",
             ethers.parseUnits("1", 18)
-        ])
-    };
+        ]),
+        nonce
+    );
 
-    const signature = await signForwardRequest(signer, domain, request);
+    const signature = await signRequest(signer, domain, request);
 
     // Execute it (should succeed)
     const tx = await batchExecutor.executeBatch([request], [signature]);
@@ -230,7 +213,7 @@ async function testBatchExecution(signer, batchExecutor, token, batchAddr, token
     console.log("═══════════════════════════════════════════════════════\n");
 
     const userAddress = await signer.getAddress();
-    const domain = getEIP712Domain(batchAddr, chainId);
+    const domain = getDomain(batchAddr, chainId);
     const tokenIface = new ethers.Interface([
         "function transfer(address to, uint256 amount) returns (bool)"
     ]);
@@ -259,19 +242,17 @@ async function testBatchExecution(signer, batchExecutor, token, batchAddr, token
     const signatures = [];
 
     for (let i = 0; i < batchSize; i++) {
-        const request = {
-            from: userAddress,
-            to: tokenAddr,
-            value: 0,
-            gas: 200000,
-            nonce: currentNonce + i,
-            data: tokenIface.encodeFunctionData("transfer", [
+        const request = buildRequest(
+            userAddress,
+            tokenAddr,
+            tokenIface.encodeFunctionData("transfer", [
                 recipients[i],
                 ethers.parseUnits("1", 18)
-            ])
-        };
+            ]),
+            currentNonce + i
+        );
 
-        const signature = await signForwardRequest(signer, domain, request);
+        const signature = await signRequest(signer, domain, request);
         requests.push(request);
         signatures.push(signature);
     }
@@ -312,14 +293,15 @@ async function testGasSponsorship(signer, sponsor, sponsorAddr) {
 
     const GAS_SPONSOR_ABI = [
         "function deposit() external payable",
-        "function claim(uint256, address[]) external",
+        "function claim(address[], uint256[]) external",
         "function getBalance() external view returns (uint256)",
-        "function estimateReimbursement(uint256, address, address[]) external view returns (uint256, bool)",
+        "function estimateReimbursement(address, address[], uint256[]) external view returns (uint256, bool)",
         "function getRelayerDailyRemaining(address) external view returns (uint256)",
         "function getUserDailyRemaining(address) external view returns (uint256)",
         "function getGlobalDailyRemaining() external view returns (uint256)",
         "function totalDeposited() external view returns (uint256)",
-        "function totalClaimed() external view returns (uint256)"
+        "function totalClaimed() external view returns (uint256)",
+        "event Claimed(address indexed relayer, uint256 amount, address[] users, uint256[] amounts)"
     ];
 
     const sponsorContract = new ethers.Contract(sponsorAddr, GAS_SPONSOR_ABI, signer);
@@ -339,20 +321,41 @@ async function testGasSponsorship(signer, sponsor, sponsorAddr) {
     const afterBalance = await sponsorContract.getBalance();
     console.log(`  Pool balance (after):  ${formatETH(afterBalance)} ETH`);
 
-    // Estimate reimbursement
-    const claimAmount = ethers.parseEther("0.001");
+    // Estimate reimbursement: two users, one costing three times the other
+    const otherUser = ethers.Wallet.createRandom().address;
+    const users = [relayerAddress, otherUser];
+    const amounts = [ethers.parseEther("0.00025"), ethers.parseEther("0.00075")];
+    const claimAmount = amounts[0] + amounts[1];
+    const userBefore = await sponsorContract.getUserDailyRemaining(relayerAddress);
+    const otherBefore = await sponsorContract.getUserDailyRemaining(otherUser);
     const [reimburse, wouldSucceed] = await sponsorContract.estimateReimbursement(
-        claimAmount,
         relayerAddress,
-        [relayerAddress]
+        users,
+        amounts
     );
     console.log(`  Estimate for 0.001 ETH claim: ${formatETH(reimburse)} ETH (would succeed: ${wouldSucceed}) ✅`);
 
     // Claim reimbursement
-    const claimTx = await sponsorContract.claim(claimAmount, [relayerAddress]);
+    const claimTx = await sponsorContract.claim(users, amounts);
     const claimReceipt = await claimTx.wait();
     console.log(`  Claimed:              ${formatETH(claimAmount)} ETH (gas: ${formatGas(claimReceipt.gasUsed)}) ✅`);
 
+    // Each user is charged their own amount, and Claimed reports it
+    const claimed = claimReceipt.logs
+        .map(l => {
+            try {
+                return sponsorContract.interface.parseLog(l);
+            } catch (e) {
+                return null;
+            }
+        })
+        .find(parsed => parsed && parsed.name === "Claimed");
+    const userCharged = userBefore - await sponsorContract.getUserDailyRemaining(relayerAddress);
+    const otherCharged = otherBefore - await sponsorContract.getUserDailyRemaining(otherUser);
+    const perUserOk = userCharged === amounts[0] && otherCharged === amounts[1] &&
+        claimed && claimed.args.amounts[0] === amounts[0] && claimed.args.amounts[1] === amounts[1];
+    console.log(`  Charged per user:     ${formatETH(userCharged)} / ${formatETH(otherCharged)} ETH ${perUserOk ? "✅" : "❌"}`);
+
     // Check daily remaining
     const relayerRemaining = await sponsorContract.getRelayerDailyRemaining(relayerAddress);
     const userRemaining = await sponsorContract.getUserDailyRemaining(relayerAddress);
@@ -368,7 +371,7 @@ async function testGasSponsorship(signer, sponsor, sponsorAddr) {
     console.log(`  Total claimed:         ${formatETH(totalClaimed)} ETH`);
 
     console.log();
-    return wouldSucceed;
+    return wouldSucceed && perUserOk;
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -403,6 +406,15 @@ async function runGasBenchmark(signer, batchExecutor, token, batchAddr, tokenAdd
         );
     }
 
+    // Per-entry overhead: what one more entry costs in a batch, minus what
+    // the transfer itself costs (a direct transfer less the 21k tx base).
+    // batch-packer.js budgets with this figure (ENTRY_GAS_OVERHEAD).
+    const smallest = results[0];
+    const largest = results[results.length - 1];
+    const marginalGas = (largest.batchedGas - smallest.batchedGas) / (largest.batchSize - smallest.batchSize);
+    const transferGas = largest.individualGas / largest.batchSize - 21000;
+    console.log(`\n  Per-entry overhead: ~${formatGas(Math.round(marginalGas - transferGas))} gas beyond the inner call`);
+
     console.log();
     return results;
 }
@@ -416,7 +428,7 @@ async function testFailureHandling(signer, batchExecutor, token, batchAddr, toke
     console.log("  TEST 6: Failure Handling & Edge Cases");
     console.log("═══════════════════════════════════════════════════════\n");
 
-    const domain = getEIP712Domain(batchAddr, chainId);
+    const domain = getDomain(batchAddr, chainId);
     const userAddress = await signer.getAddress();
 
     // Test 1: Empty batch should revert
@@ -439,9 +451,10 @@ async function testFailureHandling(signer, batchExecutor, token, batchAddr, toke
             data: tokenIface.encodeFunctionData("transfer", [
                 "0x0000000000000000000000000000000000000001",
                 ethers.parseUnits("1", 18)
-            ])
+            ]),
+            validAfter: 0, validUntil: 0
         };
-        const sig = await signForwardRequest(signer, domain, req);
+        const sig = await signRequest(signer, domain, req);
         await batchExecutor.executeBatch([req, req], [sig]);
         console.log("      ❌ Should have reverted");
     } catch (e) {
@@ -458,9 +471,10 @@ async function testFailureHandling(signer, batchExecutor, token, batchAddr, toke
             data: tokenIface.encodeFunctionData("transfer", [
                 "0x0000000000000000000000000000000000000001",
                 ethers.parseUnits("1", 18)
-            ])
+            ]),
+            validAfter: 0, validUntil: 0
         };
-        const sig = await signForwardRequest(signer, domain, req);
+        const sig = await signRequest(signer, domain, req);
         await batchExecutor.executeBatch([req], [sig]);
         console.log("      ❌ Should have reverted");
     } catch (e) {
@@ -471,6 +485,216 @@ async function testFailureHandling(signer, batchExecutor, token, batchAddr, toke
     return true;
 }
 
+// ═══════════════════════════════════════════════════════════════════
+//  TEST 7: Single-Signature ForwardBatch
+// ═══════════════════════════════════════════════════════════════════
+
+async function testSignedBatch(signer, batchExecutor, token, batchAddr, tokenAddr, chainId, batchSize = 5) {
+    console.log("═══════════════════════════════════════════════════════");
+    console.log(`  TEST 7: Single-Signature ForwardBatch (${batchSize} transfers)`);
+    console.log("═══════════════════════════════════════════════════════\n");
+
+    const userAddress = await signer.getAddress();
+    const domain = getDomain(batchAddr, chainId);
+    const tokenIface = new ethers.Interface([
+        "function transfer(address to, uint256 amount) returns (bool)"
+    ]);
+
+    const actions = [];
+    for (let i = 0; i < batchSize; i++) {
+        actions.push({
+            to: tokenAddr,
+            data: tokenIface.encodeFunctionData("transfer", [
+                ethers.Wallet.createRandom().address,
+                ethers.parseUnits("1", 18)
+            ])
+        });
+    }
+
+    // One signature and one nonce for every call
+    const nonce = Number(await batchExecutor.getNonce(userAddress));
+    const batch = buildBatch(userAddress, actions, nonce);
+    const signature = await signForwardBatch(signer, domain, batch);
+
+    const isValid = await batchExecutor.verifyBatch(batch, signature);
+    console.log(`  verifyBatch():   ${isValid ? "✅ VALID" : "❌ INVALID"}`);
+
+    const tampered = { ...batch, calls: batch.calls.slice(1) };
+    const tamperedValid = await batchExecutor.verifyBatch(tampered, signature);
+    console.log(`  Dropped call:    ${!tamperedValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    const tx = await batchExecutor.executeSignedBatches([batch], [signature]);
+    const receipt = await tx.wait();
+    const events = receipt.logs.map(l => {
+        try {
+            return batchExecutor.interface.parseLog(l);
+        } catch (e) {
+            return null;
+        }
+    }).filter(parsed => parsed && parsed.name === "RequestExecuted");
+    const executed = events.length;
+    console.log(`  Executed:        ${executed}/${batchSize} calls (gas: ${formatGas(receipt.gasUsed)})`);
+
+    // Per-call gas, which the relayer splits GasSponsor claims by
+    const callGas = events.reduce((sum, e) => sum + e.args.gasUsed, 0n);
+    const callGasOk = events.every(e => e.args.gasUsed > 0n) && callGas < receipt.gasUsed;
+    console.log(`  Call gas:        ${formatGas(callGas)} of ${formatGas(receipt.gasUsed)} ${callGasOk ? "✅" : "❌"}`);
+
+    const newNonce = Number(await batchExecutor.getNonce(userAddress));
+    console.log(`  Nonce after:     ${newNonce} (one nonce for the batch, was ${nonce})`);
+
+    try {
+        await batchExecutor.executeSignedBatches([batch], [signature]);
+        console.log(`  Replay attempt:  ❌ SUCCEEDED (bug!)`);
+        return false;
+    } catch (error) {
+        console.log(`  Replay attempt:  ✅ REJECTED (nonce already used)`);
+    }
+
+    console.log();
+    return isValid && !tamperedValid && executed === batchSize && callGasOk && newNonce === nonce + 1;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  TEST 8: Session Keys
+// ═══════════════════════════════════════════════════════════════════
+
+async function testSessionKey(signer, batchExecutor, token, batchAddr, tokenAddr, chainId) {
+    console.log("═══════════════════════════════════════════════════════");
+    console.log("  TEST 8: Session Key with Scoped Grant");
+    console.log("═══════════════════════════════════════════════════════\n");
+
+    const userAddress = await signer.getAddress();
+    const domain = getDomain(batchAddr, chainId);
+    const tokenIface = new ethers.Interface([
+        "function transfer(address to, uint256 amount) returns (bool)",
+        "function mint(address to, uint256 amount)"
+    ]);
+    const recipient = ethers.Wallet.createRandom().address;
+    const latest = await signer.provider.getBlock("latest");
+
+    // One wallet signature: SampleToken transfers only, 5 tokens, 1 hour
+    const session = await createSession(signer, domain, {
+        validUntil: latest.timestamp + 3600,
+        targets: [tokenAddr],
+        selectors: ["transfer(address,uint256)"],
+        spendLimit: ethers.parseUnits("5", 18)
+    });
+    const grantId = hashSessionGrant(domain, session.grant);
+
+    // Signs with the raw session key, skipping SessionSigner's own scope
+    // check, so the contract is what has to enforce the grant
+    const sessionRequest = async (data, offset = 0, grant = session.grant, grantSignature = session.grantSignature) => {
+        const nonce = Number(await batchExecutor.getNonce(userAddress)) + offset;
+        const request = buildRequest(userAddress, tokenAddr, data, nonce);
+        const sessionSignature = await session.wallet.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+        return {
+            request,
+            signature: encodeSessionSignature(grant, grantSignature, sessionSignature)
+        };
+    };
+    const transfer = (amount) => tokenIface.encodeFunctionData("transfer", [recipient, ethers.parseUnits(amount, 18)]);
+
+    // Two in-scope transfers (3 of the 5 tokens), no wallet prompt
+    const first = await sessionRequest(transfer("1"));
+    const second = await sessionRequest(transfer("2"), 1);
+    const isValid = await batchExecutor.verify(first.request, first.signature);
+    console.log(`  Session verify():     ${isValid ? "✅ VALID" : "❌ INVALID"}`);
+
+    const tx = await batchExecutor.executeBatch(
+        [first.request, second.request],
+        [first.signature, second.signature]
+    );
+    const receipt = await tx.wait();
+    const spent = await batchExecutor.sessionSpent(grantId);
+    const balance = await token.balanceOf(recipient);
+    console.log(`  Executed:             2 transfers (gas: ${formatGas(receipt.gasUsed)})`);
+    console.log(`  Spent under grant:    ${ethers.formatUnits(spent, 18)} / 5 tokens`);
+
+    // Out of scope: over the remaining cap, a function not granted
+    const overCap = await sessionRequest(transfer("3"));
+    const overCapValid = await batchExecutor.verify(overCap.request, overCap.signature);
+    console.log(`  Over spend cap:       ${!overCapValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    const wrongFn = await sessionRequest(tokenIface.encodeFunctionData("mint", [recipient, 1n]));
+    const wrongFnValid = await batchExecutor.verify(wrongFn.request, wrongFn.signature);
+    console.log(`  Selector not granted: ${!wrongFnValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    // A grant with no selector list would let the key call unmetered
+    // functions, so the contract refuses it outright (built by hand, as
+    // buildSessionGrant() won't make one)
+    const openGrant = { ...session.grant, selectors: [], salt: session.grant.salt + 1n };
+    const openGrantSignature = await signSessionGrant(signer, domain, openGrant);
+    const open = await sessionRequest(transfer("1"), 0, openGrant, openGrantSignature);
+    const openValid = await batchExecutor.verify(open.request, open.signature);
+    console.log(`  Grant without selectors: ${!openValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    // Revoked by the owner: even an in-scope request stops verifying
+    await (await batchExecutor.revokeSession(grantId)).wait();
+    const afterRevoke = await sessionRequest(transfer("1"));
+    const revokedValid = await batchExecutor.verify(afterRevoke.request, afterRevoke.signature);
+    console.log(`  After revokeSession(): ${!revokedValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    console.log();
+    return isValid && spent === ethers.parseUnits("3", 18) && balance === spent
+        && !overCapValid && !wrongFnValid && !openValid && !revokedValid;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  TEST 9: Request Expiry
+// ═══════════════════════════════════════════════════════════════════
+
+async function testRequestExpiry(signer, batchExecutor, token, batchAddr, tokenAddr, chainId) {
+    console.log("═══════════════════════════════════════════════════════");
+    console.log("  TEST 9: Signed Validity Window (validAfter / validUntil)");
+    console.log("═══════════════════════════════════════════════════════\n");
+
+    const userAddress = await signer.getAddress();
+    const domain = getDomain(batchAddr, chainId);
+    const tokenIface = new ethers.Interface(["function transfer(address to, uint256 amount) returns (bool)"]);
+    const data = tokenIface.encodeFunctionData("transfer", [
+        ethers.Wallet.createRandom().address,
+        ethers.parseUnits("1", 18)
+    ]);
+    const nonce = Number(await batchExecutor.getNonce(userAddress));
+    const { timestamp } = await signer.provider.getBlock("latest");
+
+    const signed = async (validity) => {
+        const request = buildRequest(userAddress, tokenAddr, data, nonce, 200000, 0, validity);
+        return { request, signature: await signRequest(signer, domain, request) };
+    };
+
+    // Expired an hour ago: verify() fails and executeBatch() reverts
+    const expired = await signed({ validUntil: timestamp - 3600 });
+    const expiredValid = await batchExecutor.verify(expired.request, expired.signature);
+    console.log(`  Expired request:      ${!expiredValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    let expiredReverted = false;
+    try {
+        await batchExecutor.executeBatch([expired.request], [expired.signature]);
+    } catch (e) {
+        expiredReverted = true;
+    }
+    console.log(`  executeBatch():       ${expiredReverted ? "✅ Reverted correctly" : "❌ Executed (bug!)"}`);
+
+    // Not valid for another hour
+    const early = await signed({ validAfter: timestamp + 3600 });
+    const earlyValid = await batchExecutor.verify(early.request, early.signature);
+    console.log(`  Not yet valid:        ${!earlyValid ? "✅ REJECTED (correct)" : "❌ ACCEPTED (bug!)"}`);
+
+    // A window around now executes, and uses the nonce the others couldn't
+    const current = await signed({ validAfter: timestamp - 60, validUntil: timestamp + 3600 });
+    const currentValid = await batchExecutor.verify(current.request, current.signature);
+    console.log(`  Inside the window:    ${currentValid ? "✅ VALID" : "❌ INVALID"}`);
+
+    const receipt = await (await batchExecutor.executeBatch([current.request], [current.signature])).wait();
+    const newNonce = Number(await batchExecutor.getNonce(userAddress));
+    console.log(`  Executed:             gas ${formatGas(receipt.gasUsed)}, nonce ${nonce} → ${newNonce}`);
+
+    console.log();
+    return !expiredValid && expiredReverted && !earlyValid && currentValid && newNonce === nonce + 1;
+}
+
 // ═══════════════════════════════════════════════════════════════════
 //  MAIN TEST RUNNER
 // ═══════════════════════════════════════════════════════════════════
@@ -506,6 +730,9 @@ async function main() {
         nonceProtection: false,
         gasSponsorship: false,
         failureHandling: false,
+        signedBatch: false,
+        sessionKey: false,
+        requestExpiry: false,
         benchmark: []
     };
 
@@ -548,6 +775,30 @@ async function main() {
         console.error("  ❌ Test 6 failed:", e.message);
     }
 
+    try {
+        results.signedBatch = await testSignedBatch(
+            signer, batchExecutor, token, batchAddr, tokenAddr, chainId
+        );
+    } catch (e) {
+        console.error("  ❌ Test 7 failed:", e.message);
+    }
+
+    try {
+        results.sessionKey = await testSessionKey(
+            signer, batchExecutor, token, batchAddr, tokenAddr, chainId
+        );
+    } catch (e) {
+        console.error("  ❌ Test 8 failed:", e.message);
+    }
+
+    try {
+        results.requestExpiry = await testRequestExpiry(
+            signer, batchExecutor, token, batchAddr, tokenAddr, chainId
+        );
+    } catch (e) {
+        console.error("  ❌ Test 9 failed:", e.message);
+    }
+
     // Final Report
     console.log("╔═══════════════════════════════════════════════════════╗");
     console.log("║                    FINAL REPORT                       ║");
@@ -556,6 +807,9 @@ async function main() {
     console.log(`║  Nonce Replay Protection: ${results.nonceProtection ? "✅ PASS" : "❌ FAIL"}                   ║`);
     console.log(`║  Gas Sponsorship:        ${results.gasSponsorship ? "✅ PASS" : "❌ FAIL"}                    ║`);
     console.log(`║  Failure Handling:       ${results.failureHandling ? "✅ PASS" : "❌ FAIL"}                    ║`);
+    console.log(`║  Single-Signature Batch: ${results.signedBatch ? "✅ PASS" : "❌ FAIL"}                    ║`);
+    console.log(`║  Session Key:            ${results.sessionKey ? "✅ PASS" : "❌ FAIL"}                    ║`);
+    console.log(`║  Request Expiry:         ${results.requestExpiry ? "✅ PASS" : "❌ FAIL"}                    ║`);
     console.log("╠═══════════════════════════════════════════════════════╣");
 
     if (results.benchmark.length > 0) {
@@ -0,0 +1,260 @@
+// tx-manager.js
+// Sends the relayer's own transactions and makes sure they land.
+//
+// tx.wait() alone hangs forever when gas prices spike past what a
+// transaction offered. TxManager tracks the wallet's nonce itself, prices
+// transactions with EIP-1559 fees, and if one isn't mined in time it
+// re-sends the same nonce with higher fees. As a last resort it replaces
+// the transaction with a zero-value self-transfer to free the nonce.
+
+import { ethers } from "ethers";
+
+/**
+ * Thrown when a transaction could not be mined and its nonce was freed by
+ * a cancellation (or is still stuck). `hashes` lists every attempt.
+ */
+class TxNotMinedError extends Error {
+    constructor(message, hashes, cancelled) {
+        super(message);
+        this.name = "TxNotMinedError";
+        this.hashes = hashes;
+        this.cancelled = cancelled;
+    }
+}
+
+/**
+ * Thrown when the transaction was mined but reverted.
+ */
+class TxRevertedError extends Error {
+    constructor(receipt, hashes) {
+        super(`Transaction ${receipt.hash} reverted in block ${receipt.blockNumber}`);
+        this.name = "TxRevertedError";
+        this.code = "CALL_EXCEPTION";
+        this.receipt = receipt;
+        this.hashes = hashes;
+    }
+}
+
+class TxManager {
+    /**
+     * @param wallet  - ethers.Wallet connected to a provider
+     * @param options - {
+     *   feeBumpPercent  - Fee increase per replacement (default 15, nodes need >= 10)
+     *   stuckTimeoutMs  - How long to wait before replacing (default 60s)
+     *   maxReplacements - Fee bumps before cancelling (default 3)
+     *   pollIntervalMs  - Receipt polling interval (default 3s)
+     * }
+     */
+    constructor(wallet, options = {}) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+
+        this.feeBumpPercent = BigInt(options.feeBumpPercent || 15);
+        this.stuckTimeoutMs = options.stuckTimeoutMs || 60000;
+        this.maxReplacements = options.maxReplacements ?? 3;
+        this.pollIntervalMs = options.pollIntervalMs || 3000;
+
+        // Next nonce to use; null means "ask the node"
+        this.nextNonce = null;
+        this.noncePromise = null;
+    }
+
+    get address() {
+        return this.wallet.address;
+    }
+
+    /**
+     * Reserve the next nonce. Only the first call hits the node; after
+     * that nonces are handed out locally so concurrent sends never clash.
+     */
+    async reserveNonce() {
+        if (this.nextNonce === null) {
+            if (!this.noncePromise) {
+                this.noncePromise = this.provider.getTransactionCount(this.address, "pending")
+                    .then((nonce) => {
+                        if (this.nextNonce === null) this.nextNonce = nonce;
+                    })
+                    .finally(() => { this.noncePromise = null; });
+            }
+            await this.noncePromise;
+        }
+        return this.nextNonce++;
+    }
+
+    /**
+     * Forget the local nonce; the next send re-reads it from the node.
+     * Used when a reserved nonce was never broadcast.
+     */
+    resync() {
+        this.nextNonce = null;
+    }
+
+    /**
+     * Starting EIP-1559 fees from the node's current fee data.
+     */
+    async currentFees() {
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas === null) {
+            // Pre-London network: treat gasPrice as both caps
+            return { maxFeePerGas: feeData.gasPrice, maxPriorityFeePerGas: feeData.gasPrice };
+        }
+
+        return {
+            maxFeePerGas: feeData.maxFeePerGas,
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+        };
+    }
+
+    /**
+     * Fees for a replacement: previous fees + feeBumpPercent, or the
+     * current market if that is higher.
+     */
+    async bumpedFees(previous) {
+        const market = await this.currentFees();
+        const bump = (fee) => fee * (100n + this.feeBumpPercent) / 100n;
+
+        return {
+            maxFeePerGas: max(bump(previous.maxFeePerGas), market.maxFeePerGas),
+            maxPriorityFeePerGas: max(bump(previous.maxPriorityFeePerGas), market.maxPriorityFeePerGas)
+        };
+    }
+
+    /**
+     * Send a transaction and keep it moving until it is mined.
+     *
+     * @param txRequest - { to, data, value?, gasLimit? } (e.g. from populateTransaction)
+     * @param onAttempt - Optional async callback(attempt, attempts) after each
+     *                    broadcast; attempt = { hash, nonce, kind, maxFeePerGas, ... }
+     * @returns { receipt, attempts } - Receipt of whichever attempt was mined
+     * @throws TxRevertedError if mined but reverted,
+     *         TxNotMinedError if it had to be cancelled or never mined, or
+     *         anything else failed once an attempt was broadcast (it may
+     *         still be mined, so the caller must not treat it as unsent)
+     */
+    async send(txRequest, onAttempt) {
+        const nonce = await this.reserveNonce();
+        const attempts = [];
+
+        try {
+            return await this.sendWithNonce(txRequest, nonce, attempts, onAttempt);
+        } catch (error) {
+            if (error instanceof TxNotMinedError || error instanceof TxRevertedError) throw error;
+            if (attempts.length === 0) {
+                // Nothing went out, the nonce is still free
+                this.resync();
+                throw error;
+            }
+            throw new TxNotMinedError(
+                `Transaction with nonce ${nonce} may still be pending: ${error.shortMessage || error.message}`,
+                attempts.map(a => a.hash),
+                false
+            );
+        }
+    }
+
+    async sendWithNonce(txRequest, nonce, attempts, onAttempt) {
+        let fees = await this.currentFees();
+
+        for (let i = 0; i <= this.maxReplacements; i++) {
+            const kind = i === 0 ? "original" : "replacement";
+
+            try {
+                await this.broadcast({ ...txRequest, nonce, ...fees }, kind, attempts, onAttempt);
+            } catch (error) {
+                if (attempts.length === 0 || !isReplacementRejection(error)) throw error;
+                // Underpriced or an earlier attempt already mined: fall through
+                console.warn(`Replacement for nonce ${nonce} rejected: ${error.shortMessage || error.message}`);
+            }
+
+            const receipt = await this.waitForAny(attempts, this.stuckTimeoutMs);
+            if (receipt) return this.finish(receipt, attempts);
+
+            console.warn(`Tx nonce ${nonce} not mined after ${this.stuckTimeoutMs / 1000}s, bumping fees`);
+            fees = await this.bumpedFees(fees);
+        }
+
+        // ── Last resort: free the nonce with a zero-value self-transfer ──
+        try {
+            await this.broadcast(
+                { to: this.address, value: 0n, data: "0x", gasLimit: 21000n, nonce, ...fees },
+                "cancel", attempts, onAttempt
+            );
+        } catch (error) {
+            if (!isReplacementRejection(error)) throw error;
+        }
+
+        const receipt = await this.waitForAny(attempts, this.stuckTimeoutMs * 2);
+        const hashes = attempts.map(a => a.hash);
+
+        if (!receipt) {
+            throw new TxNotMinedError(`Transaction with nonce ${nonce} still pending after cancel`, hashes, false);
+        }
+
+        const mined = attempts.find(a => a.hash === receipt.hash);
+        if (mined && mined.kind === "cancel") {
+            throw new TxNotMinedError(`Transaction with nonce ${nonce} was cancelled`, hashes, true);
+        }
+
+        return this.finish(receipt, attempts);
+    }
+
+    async broadcast(tx, kind, attempts, onAttempt) {
+        const sent = await this.wallet.sendTransaction({ type: 2, ...tx });
+
+        const attempt = {
+            hash: sent.hash,
+            nonce: tx.nonce,
+            kind,
+            maxFeePerGas: tx.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+            sentAt: Date.now()
+        };
+        attempts.push(attempt);
+
+        console.log(`Tx ${kind} sent: ${sent.hash} (nonce ${tx.nonce}, maxFee ${ethers.formatUnits(tx.maxFeePerGas, "gwei")} gwei)`);
+
+        if (onAttempt) await onAttempt(attempt, attempts);
+        return sent;
+    }
+
+    /**
+     * Poll every attempt's receipt until one shows up or the timeout hits.
+     * Only one transaction per nonce can ever be mined.
+     */
+    async waitForAny(attempts, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (true) {
+            for (const attempt of attempts) {
+                const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+                if (receipt) return receipt;
+            }
+
+            if (Date.now() >= deadline) return null;
+            await sleep(Math.min(this.pollIntervalMs, Math.max(0, deadline - Date.now())));
+        }
+    }
+
+    finish(receipt, attempts) {
+        if (receipt.status !== 1) {
+            throw new TxRevertedError(receipt, attempts.map(a => a.hash));
+        }
+        return { receipt, attempts };
+    }
+}
+
+// Errors that mean "this replacement didn't go out" rather than "give up"
+function isReplacementRejection(error) {
+    return error.code === "REPLACEMENT_UNDERPRICED" || error.code === "NONCE_EXPIRED";
+}
+
+function max(a, b) {
+    return a > b ? a : b;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { TxManager, TxNotMinedError, TxRevertedError };
@@ -0,0 +1,209 @@
+// wallet-pool.js
+// The relayer's signing keys.
+//
+// One wallet can only have one batch in flight at a time (its next batch
+// would queue behind the same account nonce), so throughput is capped at
+// roughly one batch per block. With several wallets, several batches go
+// out at once. Each sender is pinned to one wallet while they have
+// requests pending, so their nonce N+1 can never be mined before nonce N.
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { TxManager } from "./tx-manager.js";
+
+const ASSIGNMENT_STRATEGIES = ["round-robin", "least-loaded"];
+
+/**
+ * Collect relayer private keys from the environment-style options.
+ *
+ * @param options - {
+ *   privateKey       - Single key (RELAYER_PRIVATE_KEY)
+ *   privateKeys      - Comma-separated keys (RELAYER_PRIVATE_KEYS)
+ *   keystoreDir      - Directory of encrypted JSON keystores (RELAYER_KEYSTORE_DIR)
+ *   keystorePassword - Password for every keystore in keystoreDir
+ * }
+ * @returns Array of private keys, one per distinct address
+ */
+async function loadRelayerKeys(options = {}) {
+    const keys = [];
+
+    if (options.privateKey) keys.push(options.privateKey);
+    if (options.privateKeys) {
+        keys.push(...options.privateKeys.split(",").map(k => k.trim()).filter(Boolean));
+    }
+
+    if (options.keystoreDir) {
+        const files = fs.readdirSync(options.keystoreDir).filter(f => f.endsWith(".json")).sort();
+        for (const file of files) {
+            const json = fs.readFileSync(path.join(options.keystoreDir, file), "utf8");
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, options.keystorePassword || "");
+            keys.push(wallet.privateKey);
+        }
+    }
+
+    // The same key may be listed in more than one place
+    const byAddress = new Map();
+    for (const key of keys) {
+        byAddress.set(new ethers.Wallet(key).address, key);
+    }
+    return [...byAddress.values()];
+}
+
+/**
+ * One relayer account: its wallet, the TxManager that owns its nonce,
+ * and what it is currently doing.
+ */
+class RelayerWallet {
+    constructor(wallet, txOptions) {
+        this.wallet = wallet;
+        this.address = wallet.address;
+        this.txManager = new TxManager(wallet, txOptions);
+
+        // Batches (or stuck transactions) holding this wallet's nonce
+        this.inFlight = 0;
+        // Lowercase senders pinned to this wallet
+        this.senders = new Set();
+
+        this.balance = null;
+        this.lowBalance = false;
+    }
+
+    get busy() {
+        return this.inFlight > 0;
+    }
+}
+
+class WalletPool {
+    /**
+     * @param privateKeys - Relayer private keys (at least one)
+     * @param provider    - ethers provider the wallets connect to
+     * @param options     - {
+     *   strategy   - "round-robin" (default) or "least-loaded"
+     *   minBalance - Wallets below this (wei) get no new senders (default 0.01 ETH)
+     *   txOptions  - Passed to each wallet's TxManager
+     * }
+     */
+    constructor(privateKeys, provider, options = {}) {
+        if (privateKeys.length === 0) {
+            throw new Error("WalletPool needs at least one relayer key");
+        }
+
+        this.strategy = options.strategy || "round-robin";
+        if (!ASSIGNMENT_STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown wallet assignment strategy "${this.strategy}"`);
+        }
+
+        this.minBalance = options.minBalance ?? ethers.parseEther("0.01");
+        this.wallets = privateKeys.map(key =>
+            new RelayerWallet(new ethers.Wallet(key, provider), options.txOptions)
+        );
+
+        // lowercase sender => RelayerWallet
+        this.pins = new Map();
+        this.nextIndex = 0;
+    }
+
+    get size() {
+        return this.wallets.length;
+    }
+
+    get(address) {
+        if (!address) return null;
+        return this.wallets.find(w => w.address.toLowerCase() === address.toLowerCase()) || null;
+    }
+
+    /**
+     * The wallet a sender is pinned to, or null.
+     */
+    pinnedWallet(sender) {
+        return this.pins.get(sender.toLowerCase()) || null;
+    }
+
+    /**
+     * The sender's wallet, pinning them to one if they aren't already.
+     * `preferred` (an address) wins if it is in the pool — used when
+     * recovering requests that were already submitted by that wallet.
+     */
+    assign(sender, preferred = null) {
+        const key = sender.toLowerCase();
+        const existing = this.pins.get(key);
+        if (existing) return existing;
+
+        const wallet = this.get(preferred) || this.pick();
+        this.pins.set(key, wallet);
+        wallet.senders.add(key);
+        return wallet;
+    }
+
+    unpin(sender) {
+        const key = sender.toLowerCase();
+        const wallet = this.pins.get(key);
+        if (!wallet) return;
+
+        this.pins.delete(key);
+        wallet.senders.delete(key);
+    }
+
+    /**
+     * Choose a wallet for a new sender, skipping underfunded ones unless
+     * every wallet is underfunded.
+     */
+    pick() {
+        const funded = this.wallets.filter(w => !w.lowBalance);
+        const candidates = funded.length > 0 ? funded : this.wallets;
+
+        if (this.strategy === "least-loaded") {
+            return candidates.reduce((best, w) => {
+                const load = w.senders.size + w.inFlight;
+                const bestLoad = best.senders.size + best.inFlight;
+                return load < bestLoad ? w : best;
+            });
+        }
+
+        const wallet = candidates[this.nextIndex % candidates.length];
+        this.nextIndex++;
+        return wallet;
+    }
+
+    /**
+     * Wallets with nothing in flight.
+     */
+    idle() {
+        return this.wallets.filter(w => !w.busy);
+    }
+
+    /**
+     * Read every wallet's ETH balance and flag those below minBalance.
+     */
+    async refreshBalances() {
+        for (const wallet of this.wallets) {
+            wallet.balance = await wallet.wallet.provider.getBalance(wallet.address);
+
+            const low = wallet.balance < this.minBalance;
+            if (low && !wallet.lowBalance) {
+                console.warn(
+                    `⚠️  Relayer wallet ${wallet.address} is low on funds ` +
+                    `(${ethers.formatEther(wallet.balance)} ETH)`
+                );
+            }
+            wallet.lowBalance = low;
+        }
+        return this.status();
+    }
+
+    /**
+     * Snapshot for /health.
+     */
+    status() {
+        return this.wallets.map(w => ({
+            address: w.address,
+            balance: w.balance === null ? null : w.balance.toString(),
+            lowBalance: w.lowBalance,
+            inFlight: w.inFlight,
+            senders: w.senders.size
+        }));
+    }
+}
+
+export { WalletPool, RelayerWallet, loadRelayerKeys, ASSIGNMENT_STRATEGIES };